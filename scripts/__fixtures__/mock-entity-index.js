@@ -23,7 +23,8 @@ export function createMockEntityIndex(overrides = {}) {
     bundles: overrides.bundles ?? new Map(),
     dashboards: overrides.dashboards ?? new Map(),
     resources: overrides.resources ?? new Map(),
-    media: overrides.media ?? new Map()
+    media: overrides.media ?? new Map(),
+    diagnostics: overrides.diagnostics ?? []
   }
 }
 
@@ -218,3 +219,557 @@ export function createReferenceTestIndex(options = {}) {
 
   return index
 }
+
+/**
+ * Create a mock entity index for resource schema testing
+ *
+ * Structure:
+ * - Document category (requires Has_document_type) with child SOP
+ *   (requires Has_purpose and Has_SOP_type, allows Has_technique)
+ * - One property per field above, plus Has_description and Has_name
+ *
+ * @param {Array<Object>} resources - Resources to add, keyed by their id
+ * @returns {Object} Entity index for resource validation
+ */
+export function createResourceSchemaIndex(resources) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Document', {
+        id: 'Document',
+        required_properties: ['Has_document_type'],
+        optional_properties: ['Has_description'],
+        _filePath: 'categories/Document.wikitext'
+      }],
+      ['SOP', {
+        id: 'SOP',
+        parents: ['Document'],
+        required_properties: ['Has_purpose', 'Has_SOP_type'],
+        optional_properties: ['Has_technique'],
+        _filePath: 'categories/SOP.wikitext'
+      }]
+    ]),
+    properties: new Map([
+      ['Has_description', { id: 'Has_description', datatype: 'Text' }],
+      ['Has_document_type', { id: 'Has_document_type', datatype: 'Text' }],
+      ['Has_purpose', { id: 'Has_purpose', datatype: 'Text' }],
+      ['Has_SOP_type', { id: 'Has_SOP_type', datatype: 'Text' }],
+      ['Has_technique', { id: 'Has_technique', datatype: 'Page' }],
+      ['Has_name', { id: 'Has_name', datatype: 'Text' }]
+    ]),
+    resources: new Map(resources.map(r => [r.id, { _filePath: `resources/${r.id}.wikitext`, ...r }]))
+  })
+}
+
+/**
+ * Create a mock entity index for subobject instance testing
+ *
+ * Structure:
+ * - Equipment category: requires Has_maintenance_record, allows Has_access_record
+ * - Has_faq_item subobject that Equipment does not allow
+ * - Equipment/Microscope resource holding the given instances
+ *
+ * @param {Array<Object>} subobjects - Subobject instances of the resource
+ * @returns {Object} Entity index for resource validation
+ */
+export function createSubobjectInstanceIndex(subobjects) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Equipment', {
+        id: 'Equipment',
+        optional_properties: ['Has_name'],
+        required_subobjects: ['Has_maintenance_record'],
+        optional_subobjects: ['Has_access_record']
+      }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', datatype: 'Text' }],
+      ['Has_date', { id: 'Has_date', datatype: 'Date' }],
+      ['Has_notes', { id: 'Has_notes', datatype: 'Text' }]
+    ]),
+    subobjects: new Map([
+      ['Has_maintenance_record', { id: 'Has_maintenance_record', required_properties: ['Has_date'], optional_properties: ['Has_notes'] }],
+      ['Has_access_record', { id: 'Has_access_record', required_properties: ['Has_name'] }],
+      ['Has_faq_item', { id: 'Has_faq_item', required_properties: ['Has_name'] }]
+    ]),
+    resources: new Map([
+      ['Equipment/Microscope', {
+        id: 'Equipment/Microscope',
+        category: 'Equipment',
+        Has_name: 'Microscope',
+        subobjects,
+        _filePath: 'resources/Equipment/Microscope.wikitext'
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for resource datatype testing
+ *
+ * @param {Object} fields - Property fields of the Event/Kickoff resource
+ * @returns {Object} Entity index with one property per datatype
+ */
+export function createResourceValueIndex(fields) {
+  return createMockEntityIndex({
+    properties: new Map([
+      ['Has_date', { id: 'Has_date', datatype: 'Date' }],
+      ['Has_capacity', { id: 'Has_capacity', datatype: 'Number' }],
+      ['Has_url', { id: 'Has_url', datatype: 'URL', cardinality: 'multiple' }],
+      ['Has_email', { id: 'Has_email', datatype: 'Email' }],
+      ['Has_phone_number', { id: 'Has_phone_number', datatype: 'Telephone number' }],
+      ['Is_first_author', { id: 'Is_first_author', datatype: 'Boolean' }],
+      ['Has_location', { id: 'Has_location', datatype: 'Page' }],
+      ['Has_notes', { id: 'Has_notes', datatype: 'Text' }]
+    ]),
+    resources: new Map([
+      ['Event/Kickoff', {
+        id: 'Event/Kickoff',
+        category: 'Event',
+        ...fields,
+        _filePath: 'resources/Event/Kickoff.wikitext'
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for allowed value testing
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.resourceFields] - Property fields of the Access/Key_1 resource
+ * @param {string} [options.dashboardWikitext] - Wikitext of the Knowledge_overview/By_difficulty page
+ * @returns {Object} Entity index with enumerated properties
+ */
+export function createAllowedValueIndex({ resourceFields = {}, dashboardWikitext = '' } = {}) {
+  return createMockEntityIndex({
+    properties: new Map([
+      ['Has_access_status', { id: 'Has_access_status', datatype: 'Text', allowed_values: ['Active', 'Returned', 'Revoked'] }],
+      ['Has_difficulty_level', { id: 'Has_difficulty_level', datatype: 'Text', allowed_values: ['beginner', 'intermediate', 'advanced'] }],
+      ['Has_start_date', { id: 'Has_start_date', datatype: 'Date' }]
+    ]),
+    resources: new Map([
+      ['Access/Key_1', {
+        id: 'Access/Key_1',
+        category: 'Access_point',
+        ...resourceFields,
+        _filePath: 'resources/Access/Key_1.wikitext'
+      }]
+    ]),
+    dashboards: new Map([
+      ['Knowledge_overview', {
+        id: 'Knowledge_overview',
+        pages: [
+          { name: '', wikitext: '', _filePath: 'dashboards/Knowledge_overview.wikitext' },
+          { name: 'By_difficulty', wikitext: dashboardWikitext, _filePath: 'dashboards/Knowledge_overview/By_difficulty.wikitext' }
+        ],
+        _filePath: 'dashboards/Knowledge_overview.wikitext'
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for resource link testing
+ *
+ * Structure:
+ * - Technique category with child Imaging_technique, plus Glossary and SOP
+ * - Has_technique Page property restricted to Technique
+ * - One resource per category, and SOP/Iron_safety linking through Has_technique
+ *
+ * @param {string|string[]} techniqueValue - Has_technique value of SOP/Iron_safety
+ * @returns {Object} Entity index for link validation
+ */
+export function createResourceLinkIndex(techniqueValue) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Technique', { id: 'Technique', parents: [] }],
+      ['Imaging_technique', { id: 'Imaging_technique', parents: ['Technique'] }],
+      ['Glossary', { id: 'Glossary', parents: [] }],
+      ['SOP', { id: 'SOP', parents: [] }]
+    ]),
+    properties: new Map([
+      ['Has_technique', { id: 'Has_technique', datatype: 'Page', Allows_value_from_category: 'Technique' }]
+    ]),
+    resources: new Map([
+      ['Technique/Soldering', { id: 'Technique/Soldering', category: 'Technique', _filePath: 'resources/Technique/Soldering.wikitext' }],
+      ['Technique/Calcium_imaging', { id: 'Technique/Calcium_imaging', category: 'Imaging_technique', _filePath: 'resources/Technique/Calcium_imaging.wikitext' }],
+      ['Glossary/GCaMP', { id: 'Glossary/GCaMP', category: 'Glossary', _filePath: 'resources/Glossary/GCaMP.wikitext' }],
+      ['SOP/Iron_safety', { id: 'SOP/Iron_safety', category: 'SOP', Has_technique: techniqueValue, _filePath: 'resources/SOP/Iron_safety.wikitext' }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for allows_pattern testing
+ *
+ * Structure:
+ * - Has_ORCID (Text) with the given allows_pattern
+ * - Person/Jane_doe setting Has_orcid to the given value
+ *
+ * @param {string} pattern - allows_pattern of Has_ORCID
+ * @param {string|string[]} value - Has_orcid value of the resource
+ * @returns {Object} Entity index for pattern validation
+ */
+export function createPatternIndex(pattern, value) {
+  return createMockEntityIndex({
+    properties: new Map([
+      ['Has_ORCID', {
+        id: 'Has_ORCID',
+        datatype: 'Text',
+        allowed_pattern: pattern,
+        _filePath: 'properties/Has_ORCID.wikitext'
+      }]
+    ]),
+    resources: new Map([
+      ['Person/Jane_doe', {
+        id: 'Person/Jane_doe',
+        category: 'Person',
+        Has_orcid: value,
+        _filePath: 'resources/Person/Jane_doe.wikitext'
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for subproperty testing
+ *
+ * @param {Object} parent - Fields of the Has_parent property
+ * @param {Object} child - Fields of Has_child, a subproperty of Has_parent
+ * @returns {Object} Entity index with Agent, Person (child of Agent) and Equipment categories
+ */
+export function createSubpropertyIndex(parent, child) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Agent', { id: 'Agent' }],
+      ['Person', { id: 'Person', parents: ['Agent'] }],
+      ['Equipment', { id: 'Equipment' }]
+    ]),
+    properties: new Map([
+      ['Has_parent', { id: 'Has_parent', datatype: 'Text', ...parent, _filePath: 'properties/Has_parent.wikitext' }],
+      ['Has_child', { id: 'Has_child', datatype: 'Text', parent_property: 'Has_parent', ...child, _filePath: 'properties/Has_child.wikitext' }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for multiple inheritance testing
+ *
+ * @param {Object} [members] - Fields of each category
+ * @param {Object} [members.left] - Fields of Left
+ * @param {Object} [members.right] - Fields of Right
+ * @param {Object} [members.child] - Fields of Child, which inherits from Left and Right
+ * @returns {Object} Entity index for inheritance validation
+ */
+export function createInheritanceIndex({ left = {}, right = {}, child = {} } = {}) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Left', { id: 'Left', ...left, _filePath: 'categories/Left.wikitext' }],
+      ['Right', { id: 'Right', ...right, _filePath: 'categories/Right.wikitext' }],
+      ['Child', { id: 'Child', parents: ['Left', 'Right'], ...child, _filePath: 'categories/Child.wikitext' }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for module closure testing
+ *
+ * Structure:
+ * - Equipment module: contains Equipment category
+ * - Equipment pulls in its parent Thing, the Has_maintenance_record
+ *   subobject, Has_date's parent property, the Property/Email template and
+ *   the Person allowed-value category
+ * - Unrelated category that nothing reaches
+ *
+ * @returns {Object} Entity index for closure computation
+ */
+export function createClosureIndex() {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Thing', { id: 'Thing', required_properties: ['Has_name'] }],
+      ['Equipment', {
+        id: 'Equipment',
+        parents: ['Thing'],
+        optional_properties: ['Has_operator', 'Has_missing'],
+        optional_subobjects: ['Has_maintenance_record']
+      }],
+      ['Person', { id: 'Person', parents: ['Thing'], optional_properties: ['Has_email'] }],
+      ['Unrelated', { id: 'Unrelated', optional_properties: ['Has_notes'] }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', datatype: 'Text' }],
+      ['Has_email', { id: 'Has_email', datatype: 'Email', has_display_template: 'Property/Email' }],
+      ['Has_operator', { id: 'Has_operator', datatype: 'Page', Allows_value_from_category: 'Person' }],
+      ['Has_date', { id: 'Has_date', datatype: 'Date', parent_property: 'Has_timestamp' }],
+      ['Has_timestamp', { id: 'Has_timestamp', datatype: 'Date' }],
+      ['Has_notes', { id: 'Has_notes', datatype: 'Text' }]
+    ]),
+    subobjects: new Map([
+      ['Has_maintenance_record', { id: 'Has_maintenance_record', required_properties: ['Has_date'] }]
+    ]),
+    templates: new Map([
+      ['Property/Email', { id: 'Property/Email' }]
+    ]),
+    modules: new Map([
+      ['Equipment', { id: 'Equipment', categories: ['Equipment'], dashboards: [] }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for reachability testing
+ *
+ * Structure:
+ * - Core module: contains Equipment category, which reaches properties,
+ *   a subobject, a parent property and a template
+ * - Legacy category, and one unused entity of each type, that no module reaches
+ *
+ * @returns {Object} Entity index for unreachable entity detection
+ */
+export function createReachabilityIndex() {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Equipment', { id: 'Equipment', required_properties: ['Has_name'], optional_subobjects: ['Has_maintenance_record'] }],
+      ['Legacy', { id: 'Legacy', optional_properties: ['Has_old_code'], _filePath: 'categories/Legacy.wikitext' }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', datatype: 'Text', parent_property: 'Has_label' }],
+      ['Has_label', { id: 'Has_label', datatype: 'Text' }],
+      ['Has_date', { id: 'Has_date', datatype: 'Date', has_display_template: 'Property/Date' }],
+      ['Has_old_code', { id: 'Has_old_code', datatype: 'Text', _filePath: 'properties/Has_old_code.wikitext' }],
+      ['Has_unused', { id: 'Has_unused', datatype: 'Text', _filePath: 'properties/Has_unused.wikitext' }]
+    ]),
+    subobjects: new Map([
+      ['Has_maintenance_record', { id: 'Has_maintenance_record', required_properties: ['Has_date'] }],
+      ['Has_old_record', { id: 'Has_old_record', _filePath: 'subobjects/Has_old_record.wikitext' }]
+    ]),
+    templates: new Map([
+      ['Property/Date', { id: 'Property/Date' }],
+      ['Property/Old', { id: 'Property/Old', _filePath: 'templates/Property/Old.wikitext' }]
+    ]),
+    resources: new Map([
+      ['Equipment/Scope', { id: 'Equipment/Scope', category: 'Equipment' }],
+      ['Legacy/Thing', { id: 'Legacy/Thing', category: 'Legacy', _filePath: 'resources/Legacy/Thing.wikitext' }]
+    ]),
+    modules: new Map([
+      ['Core', { id: 'Core', categories: ['Equipment'], dashboards: [] }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for module dependency testing
+ *
+ * Structure:
+ * - Activities module: contains Event category
+ * - Knowledge module: contains Workshop (child of Event) and Guide (child
+ *   of the unowned Document), and Has_session_date, a subproperty of Has_date
+ * - Workshop also has Has_trainer, drawing values from the unowned Person
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.knowledgeDependencies] - Dependencies of Knowledge
+ * @param {Array<[string, Object]>} [options.extraModules] - Further module entries
+ * @returns {Object} Entity index for dependency validation
+ */
+export function createModuleDependencyIndex({ knowledgeDependencies = [], extraModules = [] } = {}) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Event', { id: 'Event', optional_properties: ['Has_date'] }],
+      ['Workshop', { id: 'Workshop', parents: ['Event'], optional_properties: ['Has_session_date', 'Has_trainer'] }],
+      ['Guide', { id: 'Guide', parents: ['Document'], optional_subobjects: ['Has_step'] }],
+      ['Document', { id: 'Document' }],
+      ['Person', { id: 'Person' }]
+    ]),
+    properties: new Map([
+      ['Has_date', { id: 'Has_date', datatype: 'Date' }],
+      ['Has_session_date', { id: 'Has_session_date', datatype: 'Date', parent_property: 'Has_date' }],
+      ['Has_trainer', { id: 'Has_trainer', datatype: 'Page', Allows_value_from_category: 'Person' }],
+      ['Has_step_text', { id: 'Has_step_text', datatype: 'Text', has_display_template: 'Property/Step' }]
+    ]),
+    subobjects: new Map([
+      ['Has_step', { id: 'Has_step', required_properties: ['Has_step_text'] }]
+    ]),
+    modules: new Map([
+      ['Activities', { id: 'Activities', categories: ['Event'], dependencies: [], _filePath: 'modules/Activities.json' }],
+      ['Knowledge', {
+        id: 'Knowledge',
+        categories: ['Workshop', 'Guide'],
+        dependencies: knowledgeDependencies,
+        _filePath: 'modules/Knowledge.json'
+      }],
+      ...extraModules
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for bundle testing
+ *
+ * Structure:
+ * - Activities module: contains Event category
+ * - Knowledge module: contains Workshop (child of Event), depends on
+ *   Activities, lists Knowledge_overview
+ * - Agents module: contains Person category, lists People_overview
+ * - Lab bundle with the given modules and dashboards
+ *
+ * @param {string[]} modules - Modules of the Lab bundle
+ * @param {string[]} [dashboards] - Dashboards of the Lab bundle
+ * @returns {Object} Entity index for bundle validation
+ */
+export function createBundleIndex(modules, dashboards = []) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Event', { id: 'Event' }],
+      ['Workshop', { id: 'Workshop', parents: ['Event'] }],
+      ['Person', { id: 'Person' }]
+    ]),
+    modules: new Map([
+      ['Activities', { id: 'Activities', categories: ['Event'], dashboards: [] }],
+      ['Knowledge', { id: 'Knowledge', categories: ['Workshop'], dependencies: ['Activities'], dashboards: ['Knowledge_overview'] }],
+      ['Agents', { id: 'Agents', categories: ['Person'], dashboards: ['People_overview'] }]
+    ]),
+    bundles: new Map([
+      ['Lab', { id: 'Lab', modules, dashboards, _filePath: 'bundles/Lab.json' }]
+    ]),
+    dashboards: new Map([
+      ['Knowledge_overview', {
+        id: 'Knowledge_overview',
+        pages: [{ name: '', wikitext: '{{#ask: [[Category:Workshop]] }}', _filePath: 'dashboards/Knowledge_overview.wikitext' }]
+      }],
+      ['People_overview', { id: 'People_overview', pages: [{ name: '', wikitext: '{{#ask: [[Category:Person]] }}' }] }],
+      ['Lab_overview', {
+        id: 'Lab_overview',
+        pages: [{ name: '', wikitext: '{{#ask: [[Category:Event]] }}\n{{#ask: [[Category:Person]] }}', _filePath: 'dashboards/Lab_overview.wikitext' }]
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for dashboard query testing
+ *
+ * Structure:
+ * - Agent category with child Person, and Equipment with an optional
+ *   Has_maintenance_record subobject
+ * - Has_operator Page property restricted to Person
+ * - Lab_overview dashboard with a single page
+ *
+ * @param {string} wikitext - Wikitext of the Lab_overview page
+ * @returns {Object} Entity index for query validation
+ */
+export function createDashboardQueryIndex(wikitext) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Agent', { id: 'Agent', optional_properties: ['Has_name'] }],
+      ['Person', { id: 'Person', parents: ['Agent'], required_properties: ['Has_last_name'], optional_properties: ['Has_email'] }],
+      ['Equipment', {
+        id: 'Equipment',
+        required_properties: ['Has_name'],
+        optional_properties: ['Has_operator'],
+        optional_subobjects: ['Has_maintenance_record']
+      }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', datatype: 'Text' }],
+      ['Has_last_name', { id: 'Has_last_name', datatype: 'Text' }],
+      ['Has_email', { id: 'Has_email', datatype: 'Email' }],
+      ['Has_date', { id: 'Has_date', datatype: 'Date' }],
+      ['Has_notes', { id: 'Has_notes', datatype: 'Text' }],
+      ['Has_operator', { id: 'Has_operator', datatype: 'Page', Allows_value_from_category: 'Person' }]
+    ]),
+    subobjects: new Map([
+      ['Has_maintenance_record', { id: 'Has_maintenance_record', required_properties: ['Has_date'] }]
+    ]),
+    dashboards: new Map([
+      ['Lab_overview', {
+        id: 'Lab_overview',
+        pages: [{ name: '', wikitext, _filePath: 'dashboards/Lab_overview.wikitext' }],
+        _filePath: 'dashboards/Lab_overview.wikitext'
+      }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for dashboard hierarchy testing
+ *
+ * @param {Object<string, Object>} pageParams - Page name ('' for the root) -> {{Dashboard}} params
+ * @returns {Object} Entity index with the Dashboard category schema and a Knowledge_overview dashboard
+ */
+export function createDashboardIndex(pageParams) {
+  const pages = Object.entries(pageParams).map(([name, params]) => ({
+    name,
+    wikitext: '',
+    params,
+    parent_dashboard: params.has_parent_dashboard?.replace(/^OntologyDashboard:/, '').replace(/ /g, '_'),
+    sequence_number: params.has_sequence_number,
+    _filePath: name ? `dashboards/Knowledge_overview/${name}.wikitext` : 'dashboards/Knowledge_overview.wikitext'
+  }))
+
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Dashboard', {
+        id: 'Dashboard',
+        optional_properties: ['Has_description', 'Has_parent_dashboard', 'Has_sequence_number', 'Has_dashboard_scope']
+      }]
+    ]),
+    properties: new Map([
+      ['Has_description', { id: 'Has_description', datatype: 'Text' }],
+      ['Has_parent_dashboard', { id: 'Has_parent_dashboard', datatype: 'Page', Allows_value_from_category: 'Dashboard' }],
+      ['Has_sequence_number', { id: 'Has_sequence_number', datatype: 'Number' }],
+      ['Has_dashboard_scope', { id: 'Has_dashboard_scope', datatype: 'Text', allowed_values: ['Module', 'Bundle'] }]
+    ]),
+    dashboards: new Map([
+      ['Knowledge_overview', { id: 'Knowledge_overview', pages, _filePath: 'dashboards/Knowledge_overview.wikitext' }]
+    ])
+  })
+}
+
+/**
+ * Create a mock entity index for dashboard scope testing
+ *
+ * Structure:
+ * - Knowledge module: contains Guide category
+ * - Agents and Materials modules: contain Person and Material
+ * - Research_lab bundle: contains Knowledge and Agents
+ * - Overview dashboard: root page with the given scope, Details subpage
+ *   with the given wikitext
+ *
+ * @param {string} scope - has_dashboard_scope of the root page
+ * @param {string} wikitext - Wikitext of the Details subpage
+ * @param {Object} [options]
+ * @param {string[]} [options.moduleDashboards] - Dashboards listed by Knowledge
+ * @param {string[]} [options.bundleDashboards] - Dashboards listed by Research_lab
+ * @returns {Object} Entity index for scope validation
+ */
+export function createDashboardScopeIndex(scope, wikitext, { moduleDashboards = [], bundleDashboards = [] } = {}) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Guide', { id: 'Guide', optional_properties: ['Has_component'] }],
+      ['Component', { id: 'Component' }],
+      ['Person', { id: 'Person' }],
+      ['Material', { id: 'Material' }]
+    ]),
+    properties: new Map([
+      ['Has_component', { id: 'Has_component', datatype: 'Page', Allows_value_from_category: 'Component' }]
+    ]),
+    modules: new Map([
+      ['Knowledge', { id: 'Knowledge', categories: ['Guide'], dashboards: moduleDashboards }],
+      ['Agents', { id: 'Agents', categories: ['Person'], dashboards: [] }],
+      ['Materials', { id: 'Materials', categories: ['Material'], dashboards: [] }]
+    ]),
+    bundles: new Map([
+      ['Research_lab', { id: 'Research_lab', modules: ['Knowledge', 'Agents'], dashboards: bundleDashboards }]
+    ]),
+    dashboards: new Map([
+      ['Overview', {
+        id: 'Overview',
+        pages: [
+          { name: '', wikitext: '', dashboard_scope: scope, _filePath: 'dashboards/Overview.wikitext' },
+          { name: 'Details', wikitext, _filePath: 'dashboards/Overview/Details.wikitext' }
+        ],
+        _filePath: 'dashboards/Overview.wikitext'
+      }]
+    ])
+  })
+}
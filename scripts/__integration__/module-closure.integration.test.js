@@ -0,0 +1,68 @@
+import { describe, test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { runCLI } from './helpers/cli-runner.js'
+import { createTempFixture } from './helpers/fixture-manager.js'
+
+describe('module-closure.js integration tests', () => {
+  let fixture
+
+  afterEach(() => {
+    if (fixture) {
+      fixture.cleanup()
+      fixture = null
+    }
+  })
+
+  /**
+   * Write a fixture where Equipment's Has_operator draws values from Person
+   */
+  function writeOperatorFixture(name) {
+    fixture = createTempFixture(name)
+    fixture.createEntityDirectories()
+    fixture.writeJSON('categories/Equipment.json', { id: 'Equipment', label: 'Equipment', description: 'A device', optional_properties: ['Has_operator'] })
+    fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', description: 'A person' })
+    fixture.writeJSON('properties/Has_operator.json', { id: 'Has_operator', label: 'Operator', description: 'Who runs it', datatype: 'Page', Allows_value_from_category: 'Person' })
+    fixture.writeJSON('modules/Equipment.json', { id: 'Equipment', categories: ['Equipment'], dashboards: [] })
+    fixture.writeJSON('modules/Agents.json', { id: 'Agents', categories: ['Person'], dashboards: [] })
+  }
+
+  test('reports closure and exits 0 when every member is installable', async () => {
+    writeOperatorFixture('closure-ok')
+    fixture.writeJSON('bundles/Lab.json', { id: 'Lab', modules: ['Equipment', 'Agents'] })
+
+    const result = await runCLI('module-closure.js', { args: ['Equipment'], cwd: fixture.path })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.includes('Installed with: Agents'))
+    assert.ok(result.stdout.includes('- Person'))
+    assert.ok(result.stdout.includes('- Has_operator'))
+  })
+
+  test('flags unavailable members and exits 1', async () => {
+    writeOperatorFixture('closure-missing')
+
+    const result = await runCLI('module-closure.js', { args: ['Equipment'], cwd: fixture.path })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stdout.includes('✗ Person'))
+  })
+
+  test('--json prints machine-readable reports', async () => {
+    writeOperatorFixture('closure-json')
+
+    const result = await runCLI('module-closure.js', { args: ['--json'], cwd: fixture.path })
+    const reports = JSON.parse(result.stdout)
+
+    assert.deepStrictEqual(reports.map(r => r.module), ['Agents', 'Equipment'])
+    assert.deepStrictEqual(reports[1].unavailable.categories, ['Person'])
+  })
+
+  test('unknown module exits 1', async () => {
+    writeOperatorFixture('closure-unknown')
+
+    const result = await runCLI('module-closure.js', { args: ['Nope'], cwd: fixture.path })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stderr.includes('Unknown module(s): Nope'))
+  })
+})
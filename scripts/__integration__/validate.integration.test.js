@@ -178,6 +178,43 @@ describe('validate.js integration tests', () => {
       // Warnings should produce ::warning annotations
       assert.ok(result.stdout.includes('::warning') || result.exitCode === 0)
     })
+
+    test('error annotations carry the line of the offending annotation', async () => {
+      fixture = createTempFixture('gha-line-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+
+      fixture.writeJSON('categories/BadRef.json', { id: 'BadRef', label: 'Bad Ref', parents: ['NonExistent'] })
+      fixture.writeJSON('modules/Core.json', { id: 'Core', categories: ['BadRef'], dashboards: [] })
+      fixture.writeJSON('bundles/Default.json', { id: 'Default', modules: ['Core'] })
+
+      const result = await runCLI('validate.js', {
+        cwd: fixture.path,
+        env: { GITHUB_ACTIONS: 'true' }
+      })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.match(result.stdout, /::error file=categories\/BadRef\.wikitext,line=\d+,col=\d+,title=missing-reference::/)
+    })
+
+    test('annotation messages escape percent signs', async () => {
+      fixture = createTempFixture('gha-escape-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+
+      fixture.writeJSON('categories/BadRef.json', { id: 'BadRef', label: 'Bad Ref', parents: ['Half%0ADone'] })
+      fixture.writeJSON('modules/Core.json', { id: 'Core', categories: ['BadRef'], dashboards: [] })
+      fixture.writeJSON('bundles/Default.json', { id: 'Default', modules: ['Core'] })
+
+      const result = await runCLI('validate.js', {
+        cwd: fixture.path,
+        env: { GITHUB_ACTIONS: 'true' }
+      })
+
+      const annotation = result.stdout.split('\n').find(line => line.startsWith('::error') && line.includes('title=missing-reference'))
+      assert.ok(annotation.includes('Half%250ADone'))
+      assert.ok(!annotation.includes('Half%0ADone'))
+    })
   })
 
   describe('GITHUB_STEP_SUMMARY', () => {
@@ -0,0 +1,256 @@
+/**
+ * Parser for Semantic MediaWiki {{#ask:}} queries embedded in wikitext.
+ *
+ * Dashboards use #ask queries to list entities. This module extracts each
+ * query's conditions, printouts and parameters so validators can check them
+ * against the ontology without a running wiki.
+ */
+
+import { toEntityKey, createLocator } from './wikitext-parser.js'
+
+/**
+ * Resolve a page name from a query to an entity ID
+ *
+ * MediaWiki page names are case-insensitive in their first letter only.
+ *
+ * @param {string} key - Entity key as written in the query
+ * @param {Map<string, object>} entities - Entity map to look in
+ * @returns {string|null} Matching entity ID, or null
+ */
+export function resolvePageName(key, entities) {
+  if (entities.has(key)) return key
+  const capitalized = key.charAt(0).toUpperCase() + key.slice(1)
+  return entities.has(capitalized) ? capitalized : null
+}
+
+/**
+ * Find the index just past the closing "}}" matching an opening "{{" at start.
+ *
+ * @param {string} text - Wikitext
+ * @param {number} start - Index of the opening "{{"
+ * @returns {number} Index after the closing braces, or -1 if unbalanced
+ */
+function findTemplateEnd(text, start) {
+  let depth = 0
+  let i = start
+  while (i < text.length) {
+    if (text.startsWith('{{', i)) {
+      depth++
+      i += 2
+    } else if (text.startsWith('}}', i)) {
+      depth--
+      i += 2
+      if (depth === 0) return i
+    } else {
+      i++
+    }
+  }
+  return -1
+}
+
+/**
+ * Split text on a separator, ignoring separators nested inside [[...]] or {{...}}.
+ *
+ * @param {string} text - Text to split
+ * @param {string} separator - Separator string (e.g. "|" or "||")
+ * @returns {string[]} Top-level pieces (untrimmed)
+ */
+function splitTopLevel(text, separator) {
+  const pieces = []
+  let depth = 0
+  let current = ''
+  let i = 0
+  while (i < text.length) {
+    if (text.startsWith('[[', i) || text.startsWith('{{', i)) {
+      depth++
+      current += text.slice(i, i + 2)
+      i += 2
+    } else if (text.startsWith(']]', i) || text.startsWith('}}', i)) {
+      depth--
+      current += text.slice(i, i + 2)
+      i += 2
+    } else if (depth === 0 && text.startsWith(separator, i)) {
+      pieces.push(current)
+      current = ''
+      i += separator.length
+    } else {
+      current += text[i]
+      i++
+    }
+  }
+  pieces.push(current)
+  return pieces
+}
+
+/**
+ * Extract the top-level [[...]] conditions from a query segment.
+ *
+ * @param {string} text - Query segment
+ * @returns {Array<{body: string, offset: number}>} Condition bodies without
+ *   the surrounding brackets, with the offset of their "[[" in text
+ */
+function extractConditionBodies(text) {
+  const bodies = []
+  let i = 0
+  while (i < text.length) {
+    if (!text.startsWith('[[', i)) {
+      i++
+      continue
+    }
+    let depth = 0
+    let j = i
+    while (j < text.length) {
+      if (text.startsWith('[[', j) || text.startsWith('{{', j)) {
+        depth++
+        j += 2
+      } else if (text.startsWith(']]', j) || text.startsWith('}}', j)) {
+        depth--
+        j += 2
+        if (depth === 0) break
+      } else {
+        j++
+      }
+    }
+    bodies.push({ body: text.slice(i + 2, j - 2), offset: i })
+    i = j
+  }
+  return bodies
+}
+
+/**
+ * Convert a property chain like "Has BOM item.Has BOM status" to entity keys.
+ *
+ * @param {string} chain - Dotted property chain (page names)
+ * @returns {string[]} e.g. ["Has_BOM_item", "Has_BOM_status"]
+ */
+function parsePropertyChain(chain) {
+  return chain.split('.').map(p => toEntityKey(p.trim()))
+}
+
+/**
+ * Parse a single condition body (the text between [[ and ]]).
+ *
+ * @param {string} body - e.g. "Category:Guide" or "Has difficulty level::beginner"
+ * @returns {object} Condition descriptor
+ */
+function parseCondition(body) {
+  const trimmed = body.trim()
+
+  const categoryMatch = trimmed.match(/^Category:(.+)$/i)
+  if (categoryMatch) {
+    return {
+      type: 'category',
+      raw: trimmed,
+      categories: splitTopLevel(categoryMatch[1], '||').map(c => toEntityKey(c.trim())),
+    }
+  }
+
+  const separator = trimmed.indexOf('::')
+  if (separator !== -1) {
+    return {
+      type: 'property',
+      raw: trimmed,
+      chain: parsePropertyChain(trimmed.slice(0, separator)),
+      values: splitTopLevel(trimmed.slice(separator + 2), '||').map(v => v.trim()),
+    }
+  }
+
+  return { type: 'page', raw: trimmed }
+}
+
+/**
+ * Parse a single printout (the text after "?").
+ *
+ * Printouts are written "?Property#format=Label", where the output format
+ * and label are optional. "?Category" prints the page's categories and a
+ * bare "?" (usually "?=Label") stands for the main result column.
+ *
+ * @param {string} text - e.g. "Has start date#ISO=Start"
+ * @returns {object} Printout descriptor
+ */
+function parsePrintout(text) {
+  const eq = text.indexOf('=')
+  const spec = eq === -1 ? text : text.slice(0, eq)
+  const hash = spec.indexOf('#')
+  const name = (hash === -1 ? spec : spec.slice(0, hash)).trim()
+  const printout = {
+    label: eq === -1 ? null : text.slice(eq + 1).trim(),
+    format: hash === -1 ? null : spec.slice(hash + 1).trim(),
+  }
+
+  if (!name) return { type: 'main', ...printout }
+  if (/^category$/i.test(name)) return { type: 'category', ...printout }
+  return { type: 'property', chain: parsePropertyChain(name), ...printout }
+}
+
+/**
+ * Extract all {{#ask:}} queries from wikitext.
+ *
+ * Each condition and printout carries the 1-based line and column of its
+ * "[[" or "?", and positions maps each parameter name to the location of
+ * that name, so findings can point at the part of the query they concern.
+ *
+ * @param {string} wikitext - Page content
+ * @returns {Array<{line: number, conditions: object[], printouts: object[], params: Map<string, string>, positions: Map<string, {line: number, column: number}>}>}
+ *   Parsed queries in document order. Conditions are
+ *   `{type: 'category', categories}`, `{type: 'property', chain, values}` or
+ *   `{type: 'page', raw}`; printouts are `{type: 'property', chain, label, format}`,
+ *   `{type: 'category', label, format}` or `{type: 'main', label, format}`.
+ *
+ * @example
+ * extractAskQueries('{{#ask: [[Category:Guide]] |?Has guide type=Type |sort=Has name}}')
+ * // [{ line: 1,
+ * //    conditions: [{ type: 'category', raw: 'Category:Guide', categories: ['Guide'], line: 1, column: 9 }],
+ * //    printouts: [{ type: 'property', chain: ['Has_guide_type'], label: 'Type', format: null, line: 1, column: 29 }],
+ * //    params: Map { 'sort' => 'Has name' },
+ * //    positions: Map { 'sort' => { line: 1, column: 51 } } }]
+ */
+export function extractAskQueries(wikitext) {
+  const queries = []
+  const askRegex = /\{\{\s*#ask\s*:/gi
+  const locateOffset = createLocator(wikitext)
+  let match
+
+  while ((match = askRegex.exec(wikitext)) !== null) {
+    const start = match.index
+    const end = findTemplateEnd(wikitext, start)
+    if (end === -1) break
+
+    const { line } = locateOffset(start)
+    const bodyStart = start + match[0].length
+    const body = wikitext.slice(bodyStart, end - 2)
+
+    const conditions = []
+    const printouts = []
+    const params = new Map()
+    const positions = new Map()
+
+    let segmentStart = bodyStart
+    splitTopLevel(body, '|').forEach((segment, i) => {
+      const trimmed = segment.trim()
+      const trimmedStart = segmentStart + segment.length - segment.trimStart().length
+      segmentStart += segment.length + 1
+      if (!trimmed) return
+
+      if (i === 0 || trimmed.startsWith('[[')) {
+        for (const condition of extractConditionBodies(trimmed)) {
+          conditions.push({ ...parseCondition(condition.body), ...locateOffset(trimmedStart + condition.offset) })
+        }
+      } else if (trimmed.startsWith('?')) {
+        printouts.push({ ...parsePrintout(trimmed.slice(1)), ...locateOffset(trimmedStart) })
+      } else {
+        const eq = trimmed.indexOf('=')
+        if (eq !== -1) {
+          const name = trimmed.slice(0, eq).trim()
+          params.set(name, trimmed.slice(eq + 1).trim())
+          positions.set(name, locateOffset(trimmedStart))
+        }
+      }
+    })
+
+    queries.push({ line, conditions, printouts, params, positions })
+    askRegex.lastIndex = end
+  }
+
+  return queries
+}
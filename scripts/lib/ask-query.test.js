@@ -0,0 +1,133 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { extractAskQueries, resolvePageName } from './ask-query.js'
+
+describe('extractAskQueries', () => {
+  test('parses category, printouts and parameters', () => {
+    const wikitext = `== Researchers ==
+{{#ask:
+ [[Category:Researcher]]
+ |?Has first name=First
+ |?Has email
+ |format=table
+ |sort=Has last name
+}}`
+
+    const [query] = extractAskQueries(wikitext)
+
+    assert.strictEqual(query.line, 2)
+    assert.deepStrictEqual(query.conditions, [
+      { type: 'category', raw: 'Category:Researcher', categories: ['Researcher'], line: 3, column: 2 }
+    ])
+    assert.deepStrictEqual(query.printouts, [
+      { type: 'property', chain: ['Has_first_name'], label: 'First', format: null, line: 4, column: 3 },
+      { type: 'property', chain: ['Has_email'], label: null, format: null, line: 5, column: 3 }
+    ])
+    assert.strictEqual(query.params.get('format'), 'table')
+    assert.strictEqual(query.params.get('sort'), 'Has last name')
+  })
+
+  test('parses property conditions with disjunctions and chains', () => {
+    const wikitext = `{{#ask:
+ [[Category:Hardware Component]]
+ [[Has BOM item.Has BOM status::needed||ordered]]
+ |?Has BOM item.Has quantity=Qty
+}}`
+
+    const [query] = extractAskQueries(wikitext)
+
+    assert.deepStrictEqual(query.conditions[0].categories, ['Hardware_Component'])
+    assert.deepStrictEqual(query.conditions[1], {
+      type: 'property',
+      raw: 'Has BOM item.Has BOM status::needed||ordered',
+      chain: ['Has_BOM_item', 'Has_BOM_status'],
+      values: ['needed', 'ordered'],
+      line: 3,
+      column: 2
+    })
+    assert.deepStrictEqual(query.printouts[0].chain, ['Has_BOM_item', 'Has_quantity'])
+  })
+
+  test('parses printout formats, categories and the main column', () => {
+    const wikitext = `{{#ask:
+ [[Category:Researcher]]
+ |?=Name
+ |?Has first name#-
+ |?Has start date#ISO=Start
+ |?Category
+}}`
+
+    const [query] = extractAskQueries(wikitext)
+
+    assert.deepStrictEqual(query.printouts.map(({ line, column, ...printout }) => printout), [
+      { type: 'main', label: 'Name', format: null },
+      { type: 'property', chain: ['Has_first_name'], label: null, format: '-' },
+      { type: 'property', chain: ['Has_start_date'], label: 'Start', format: 'ISO' },
+      { type: 'category', label: null, format: null }
+    ])
+  })
+
+  test('keeps nested templates inside conditions intact', () => {
+    const wikitext = `{{#ask:
+ [[Category:Workshop]]
+ [[Has start date::>{{CURRENTYEAR}}-{{CURRENTMONTH}}]]
+ |?Has start date=Date
+}}`
+
+    const [query] = extractAskQueries(wikitext)
+
+    assert.strictEqual(query.conditions.length, 2)
+    assert.deepStrictEqual(query.conditions[1].values, ['>{{CURRENTYEAR}}-{{CURRENTMONTH}}'])
+    assert.strictEqual(query.printouts.length, 1)
+  })
+
+  test('finds multiple queries and reports their lines', () => {
+    const wikitext = `{{#ask: [[Category:Guide]] |format=count}}
+
+{{#ask: [[Category:FAQ]] |format=count}}`
+
+    const queries = extractAskQueries(wikitext)
+
+    assert.strictEqual(queries.length, 2)
+    assert.strictEqual(queries[0].line, 1)
+    assert.strictEqual(queries[1].line, 3)
+    assert.deepStrictEqual(queries[1].conditions[0].categories, ['FAQ'])
+  })
+
+  test('locates conditions on one line and parameters', () => {
+    const wikitext = `Intro
+{{#ask: [[Category:Guide]] [[Has author::+]]
+ |?Has author
+ | sort = Has name
+}}`
+
+    const [query] = extractAskQueries(wikitext)
+
+    assert.deepStrictEqual(query.conditions.map(({ line, column }) => [line, column]), [[2, 9], [2, 28]])
+    assert.deepStrictEqual(query.positions.get('sort'), { line: 4, column: 4 })
+  })
+
+  test('treats non-property conditions as page conditions', () => {
+    const [query] = extractAskQueries('{{#ask: [[Main Page]] }}')
+
+    assert.deepStrictEqual(query.conditions, [{ type: 'page', raw: 'Main Page', line: 1, column: 9 }])
+  })
+
+  test('returns empty array when there are no queries', () => {
+    assert.deepStrictEqual(extractAskQueries('== Just a heading =='), [])
+  })
+
+  test('ignores unterminated queries', () => {
+    assert.deepStrictEqual(extractAskQueries('{{#ask: [[Category:Guide]]'), [])
+  })
+})
+
+describe('resolvePageName', () => {
+  const entities = new Map([['Has_SOP_type', {}], ['Has_sop_type', {}]])
+
+  test('matches exactly, or after capitalizing the first letter', () => {
+    assert.strictEqual(resolvePageName('Has_SOP_type', entities), 'Has_SOP_type')
+    assert.strictEqual(resolvePageName('has_sop_type', entities), 'Has_sop_type')
+    assert.strictEqual(resolvePageName('Has_Sop_type', entities), null)
+  })
+})
@@ -0,0 +1,207 @@
+/**
+ * Bundle validator
+ *
+ * A bundle is what a fresh wiki installs, so its module list must be
+ * complete on its own: every dependency of a listed module must be listed
+ * too, and every dashboard it ships must only query categories that its
+ * modules install. Listed modules that nothing in the bundle needs are
+ * reported as extras.
+ */
+
+import { computeInstalledEntities, getModuleDependencies } from './module-closure.js'
+import { extractAskQueries } from './ask-query.js'
+import { toPageName } from './wikitext-parser.js'
+
+/**
+ * Compute the module closure of a bundle under module dependencies
+ *
+ * @param {object} bundle - Bundle entity
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{modules: string[], missing: Map<string, string[]>}} All modules
+ *   in the closure, and each missing module with the listed modules that need it
+ */
+export function computeBundleClosure(bundle, entityIndex) {
+  const listed = new Set(bundle.modules || [])
+  const modules = new Set(listed)
+  const missing = new Map()
+
+  for (const moduleId of listed) {
+    for (const dependencyId of getModuleDependencies(moduleId, entityIndex)) {
+      modules.add(dependencyId)
+      if (listed.has(dependencyId)) continue
+      if (!missing.has(dependencyId)) missing.set(dependencyId, [])
+      missing.get(dependencyId).push(moduleId)
+    }
+  }
+
+  return { modules: [...modules], missing }
+}
+
+/**
+ * Compute what installing a bundle brings: its modules with their
+ * dependencies, the categories they install, and the dashboards shipped
+ * (the bundle's own and its modules')
+ *
+ * @param {object} bundle - Bundle entity
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{modules: string[], categories: Set<string>, dashboards: Set<string>}}
+ */
+export function computeBundleContents(bundle, entityIndex) {
+  const modules = computeBundleClosure(bundle, entityIndex).modules.filter(id => entityIndex.modules.has(id))
+  const dashboards = new Set(modules.flatMap(id => entityIndex.modules.get(id).dashboards || []))
+  for (const dashboardId of bundle.dashboards || []) dashboards.add(dashboardId)
+
+  return { modules, categories: computeInstalledEntities(modules, entityIndex).categories, dashboards }
+}
+
+/**
+ * Find the modules that install a category
+ *
+ * @param {string} categoryId - Category to look up
+ * @param {Map<string, Set<string>>} moduleCategories - Module ID -> installed categories
+ * @returns {string[]} Module IDs
+ */
+function findProvidingModules(categoryId, moduleCategories) {
+  return [...moduleCategories]
+    .filter(([, categories]) => categories.has(categoryId))
+    .map(([moduleId]) => moduleId)
+}
+
+/**
+ * Validate bundles
+ *
+ * Checks:
+ * - No module is listed twice (error)
+ * - The module list is closed under module dependencies (error)
+ * - Listed dashboards are not shipped by a module outside the bundle
+ *   (error) or already shipped by one of its modules (warning)
+ * - Dashboards the bundle ships (its own and its modules') only query
+ *   categories its modules install (error naming the modules to add)
+ * - Every listed module is needed: another listed module depends on it or
+ *   draws values from its categories, or a dashboard the bundle ships
+ *   queries its categories (warning)
+ *
+ * Unknown modules and dashboards are reported by the reference validator.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateBundles(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  const moduleCategories = new Map()
+  for (const [moduleId] of entityIndex.modules) {
+    moduleCategories.set(moduleId, computeInstalledEntities([moduleId], entityIndex).categories)
+  }
+
+  for (const [bundleId, bundle] of entityIndex.bundles) {
+    const listed = bundle.modules || []
+
+    const seen = new Set()
+    for (const moduleId of listed) {
+      if (seen.has(moduleId)) {
+        errors.push({
+          file: bundle._filePath,
+          type: 'duplicate-bundle-module',
+          message: `Bundle "${bundleId}" lists module "${moduleId}" more than once`
+        })
+      }
+      seen.add(moduleId)
+    }
+
+    const closure = computeBundleClosure(bundle, entityIndex)
+    for (const [moduleId, neededBy] of closure.missing) {
+      errors.push({
+        file: bundle._filePath,
+        type: 'missing-bundle-module',
+        message: `Bundle "${bundleId}" does not include module "${moduleId}", a dependency of ${neededBy.join(', ')}`
+      })
+    }
+
+    const contents = computeBundleContents(bundle, entityIndex)
+    const installedModules = contents.modules
+    const shippedBy = new Map()
+    for (const moduleId of installedModules) {
+      for (const dashboardId of entityIndex.modules.get(moduleId).dashboards || []) {
+        shippedBy.set(dashboardId, moduleId)
+      }
+    }
+
+    for (const dashboardId of bundle.dashboards || []) {
+      if (shippedBy.has(dashboardId)) {
+        warnings.push({
+          file: bundle._filePath,
+          type: 'redundant-bundle-dashboard',
+          message: `Bundle "${bundleId}" lists dashboard "${dashboardId}", which module "${shippedBy.get(dashboardId)}" already ships`
+        })
+        continue
+      }
+
+      const foreignOwners = [...entityIndex.modules]
+        .filter(([, module]) => (module.dashboards || []).includes(dashboardId))
+        .map(([moduleId]) => moduleId)
+      if (foreignOwners.length > 0) {
+        errors.push({
+          file: bundle._filePath,
+          type: 'foreign-bundle-dashboard',
+          message: `Bundle "${bundleId}" lists dashboard "${dashboardId}", which belongs to module(s) ${foreignOwners.join(', ')} outside the bundle`
+        })
+      }
+      shippedBy.set(dashboardId, null)
+    }
+
+    // Listed modules something else in the bundle needs
+    const needed = new Set()
+    for (const moduleId of installedModules) {
+      for (const dependencyId of getModuleDependencies(moduleId, entityIndex)) needed.add(dependencyId)
+
+      for (const propertyId of computeInstalledEntities([moduleId], entityIndex).properties) {
+        const categoryId = entityIndex.properties.get(propertyId)?.Allows_value_from_category
+        if (!categoryId) continue
+        for (const providerId of findProvidingModules(categoryId, moduleCategories)) {
+          if (providerId !== moduleId) needed.add(providerId)
+        }
+      }
+    }
+
+    for (const dashboardId of contents.dashboards) {
+      const dashboard = entityIndex.dashboards.get(dashboardId)
+      if (!dashboard) continue
+
+      for (const page of dashboard.pages || []) {
+        for (const query of extractAskQueries(page.wikitext)) {
+          for (const condition of query.conditions) {
+            if (condition.type !== 'category') continue
+
+            for (const categoryId of condition.categories) {
+              const providers = findProvidingModules(categoryId, moduleCategories)
+              for (const providerId of providers) needed.add(providerId)
+              if (contents.categories.has(categoryId) || providers.length === 0) continue
+
+              errors.push({
+                file: page._filePath || dashboard._filePath,
+                line: condition.line,
+                column: condition.column,
+                type: 'bundle-dashboard-missing-module',
+                message: `Dashboard "${dashboardId}" in bundle "${bundleId}" queries category "${toPageName(categoryId)}", which needs module(s) ${providers.join(', ')} outside the bundle`
+              })
+            }
+          }
+        }
+      }
+    }
+
+    for (const moduleId of seen) {
+      if (!entityIndex.modules.has(moduleId) || needed.has(moduleId)) continue
+
+      warnings.push({
+        file: bundle._filePath,
+        type: 'unused-bundle-module',
+        message: `Bundle "${bundleId}" lists module "${moduleId}", which no other module of the bundle depends on or draws values from and no dashboard it ships queries`
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
@@ -0,0 +1,109 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { computeBundleClosure, validateBundles } from './bundle-validator.js'
+import { createBundleIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('computeBundleClosure', () => {
+  test('adds dependencies and records which are missing', () => {
+    const index = createBundleIndex(['Knowledge'])
+
+    const closure = computeBundleClosure(index.bundles.get('Lab'), index)
+
+    assert.deepStrictEqual(closure.modules, ['Knowledge', 'Activities'])
+    assert.deepStrictEqual([...closure.missing], [['Activities', ['Knowledge']]])
+  })
+})
+
+describe('validateBundles', () => {
+  test('closed bundle with its own dashboard passes', () => {
+    const index = createBundleIndex(['Activities', 'Knowledge', 'Agents'], ['Lab_overview'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('duplicate module returns error', () => {
+    const index = createBundleIndex(['Activities', 'Agents', 'Activities'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'duplicate-bundle-module')
+    assert.strictEqual(result.errors[0].file, 'bundles/Lab.json')
+  })
+
+  test('missing dependency returns error', () => {
+    const index = createBundleIndex(['Knowledge'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'missing-bundle-module')
+    assert.ok(result.errors[0].message.includes('"Activities", a dependency of Knowledge'))
+  })
+
+  test('module pulled in as a dependency is not an extra', () => {
+    const index = createBundleIndex(['Activities', 'Knowledge'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('module nothing in the bundle needs returns warning', () => {
+    const index = createBundleIndex(['Activities', 'Knowledge', 'Agents'])
+    index.modules.get('Agents').dashboards = []
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'unused-bundle-module')
+    assert.ok(result.warnings[0].message.includes('module "Agents"'))
+  })
+
+  test('module another module draws values from is needed', () => {
+    const index = createBundleIndex(['Activities', 'Knowledge', 'Agents'])
+    index.modules.get('Agents').dashboards = []
+    index.categories.get('Workshop').optional_properties = ['Has_trainer']
+    index.properties.set('Has_trainer', { id: 'Has_trainer', datatype: 'Page', Allows_value_from_category: 'Person' })
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('dashboard already shipped by a bundle module returns warning', () => {
+    const index = createBundleIndex(['Agents'], ['People_overview'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'redundant-bundle-dashboard')
+  })
+
+  test('dashboard of a module outside the bundle returns error', () => {
+    const index = createBundleIndex(['Agents'], ['Knowledge_overview'])
+
+    const result = validateBundles(index)
+
+    const foreign = result.errors.filter(e => e.type === 'foreign-bundle-dashboard')
+    assert.strictEqual(foreign.length, 1)
+    assert.ok(foreign[0].message.includes('module(s) Knowledge'))
+  })
+
+  test('dashboard querying a category outside the bundle returns error', () => {
+    const index = createBundleIndex(['Activities'], ['Lab_overview'])
+
+    const result = validateBundles(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'bundle-dashboard-missing-module')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Lab_overview.wikitext')
+    assert.strictEqual(result.errors[0].line, 2)
+    assert.ok(result.errors[0].message.includes('"Person", which needs module(s) Agents'))
+  })
+})
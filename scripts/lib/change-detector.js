@@ -167,8 +167,8 @@ export function detectBreakingChange(entityType, baseEntity, prEntity) {
 
   // Check if there are any changes at all
   const { added } = detailedDiff(baseEntity, prEntity)
-  const hasAdditions = Object.keys(added).filter(k => k !== '_filePath').length > 0
-  const hasUpdates = Object.keys(updated).filter(k => k !== '_filePath').length > 0
+  const hasAdditions = Object.keys(added).filter(k => !k.startsWith('_')).length > 0
+  const hasUpdates = Object.keys(updated).filter(k => !k.startsWith('_')).length > 0
 
   if (hasAdditions) {
     return {
@@ -217,7 +217,7 @@ function checkEntityBreakingChanges(entityType, baseEntity, prEntity, deleted, u
   // modules and bundles: deletion handled above, other changes are minor/patch
   if (entityType === 'modules' || entityType === 'bundles') {
     // Any field deletion in module/bundle that isn't cosmetic
-    const deletedKeys = Object.keys(deleted).filter(k => k !== '_filePath')
+    const deletedKeys = Object.keys(deleted).filter(k => !k.startsWith('_'))
     if (deletedKeys.length > 0) {
       // Check if any structural field was deleted
       const structuralFields = new Set(['id', 'label', 'description', 'categories', 'dashboards'])
@@ -3,8 +3,21 @@
  *
  * Checks for overlaps between required and optional arrays
  * (e.g., a property appearing in both required_properties and optional_properties)
+ * and, across the category hierarchy, for conflicting or redundant
+ * declarations of inherited properties and subobjects.
  */
 
+import { resolveEffectiveSchema } from './schema-resolver.js'
+import { toPageName, locate } from './wikitext-parser.js'
+
+/**
+ * Singular member names for messages, by schema key
+ */
+const MEMBER_NAMES = {
+  properties: 'Property',
+  subobjects: 'Subobject'
+}
+
 /**
  * Find overlap between two arrays
  *
@@ -43,6 +56,7 @@ export function validateConstraints(entityIndex) {
     if (propertyOverlap.length > 0) {
       errors.push({
         file: category._filePath,
+        ...locate(category, 'optional_properties', propertyOverlap[0]),
         type: 'property-conflict',
         message: `Property(s) appear in both required_properties and optional_properties: ${propertyOverlap.join(', ')}`
       })
@@ -57,6 +71,7 @@ export function validateConstraints(entityIndex) {
     if (subobjectOverlap.length > 0) {
       errors.push({
         file: category._filePath,
+        ...locate(category, 'optional_subobjects', subobjectOverlap[0]),
         type: 'subobject-conflict',
         message: `Subobject(s) appear in both required_subobjects and optional_subobjects: ${subobjectOverlap.join(', ')}`
       })
@@ -73,6 +88,7 @@ export function validateConstraints(entityIndex) {
     if (propertyOverlap.length > 0) {
       errors.push({
         file: subobject._filePath,
+        ...locate(subobject, 'optional_properties', propertyOverlap[0]),
         type: 'property-conflict',
         message: `Property(s) appear in both required_properties and optional_properties: ${propertyOverlap.join(', ')}`
       })
@@ -81,3 +97,115 @@ export function validateConstraints(entityIndex) {
 
   return { errors }
 }
+
+/**
+ * Describe a required/optional status for messages
+ *
+ * @param {boolean} required - Whether the member is required
+ * @returns {string} "required" or "optional"
+ */
+function statusName(required) {
+  return required ? 'required' : 'optional'
+}
+
+/**
+ * Check one member type of a category against what it inherits
+ *
+ * @param {object} category - Category entity
+ * @param {object} schema - Effective schema from resolveEffectiveSchema
+ * @param {Map<string, object>} parentSchemas - Direct parent ID -> effective schema
+ * @param {string} kind - "properties" or "subobjects"
+ * @returns {{errors: Array, warnings: Array}} Problems found on this category
+ */
+function checkInheritedMembers(category, schema, parentSchemas, kind) {
+  const errors = []
+  const warnings = []
+  const name = MEMBER_NAMES[kind]
+
+  for (const member of schema[kind]) {
+    const own = member.declarations.filter(d => d.category === category.id)
+    const inherited = member.declarations.filter(d => d.category !== category.id)
+    if (inherited.length === 0) continue
+
+    const inheritedRequired = inherited.some(d => d.required)
+    const winner = inherited.find(d => d.required === inheritedRequired).category
+
+    if (own.length === 0) {
+      // Only parents declare it: report parents that disagree on status
+      const parentStatus = [...parentSchemas]
+        .map(([parentId, parentSchema]) => [parentId, parentSchema?.[kind].find(m => m.id === member.id)])
+        .filter(([, parentMember]) => parentMember)
+      const requiredBy = parentStatus.filter(([, m]) => m.required).map(([parentId]) => parentId)
+      const optionalBy = parentStatus.filter(([, m]) => !m.required).map(([parentId]) => parentId)
+
+      if (requiredBy.length > 0 && optionalBy.length > 0) {
+        warnings.push({
+          file: category._filePath,
+          type: 'inherited-status-conflict',
+          message: `${name} "${toPageName(member.id)}" is required via parent(s) ${requiredBy.join(', ')} but optional via ${optionalBy.join(', ')}; required from "${winner}" wins`
+        })
+      }
+      continue
+    }
+
+    // An own overlap of required and optional is reported by validateConstraints
+    if (own.length > 1) continue
+    const ownRequired = own[0].required
+    const location = locate(category, `${statusName(ownRequired)}_${kind}`, member.id)
+
+    if (inheritedRequired && !ownRequired) {
+      errors.push({
+        file: category._filePath,
+        ...location,
+        type: 'required-demotion',
+        message: `${name} "${toPageName(member.id)}" is declared optional but is required by ancestor "${winner}"; required from "${winner}" wins`
+      })
+    } else if (ownRequired === inheritedRequired) {
+      warnings.push({
+        file: category._filePath,
+        ...location,
+        type: 'redundant-declaration',
+        message: `${name} "${toPageName(member.id)}" is already ${statusName(ownRequired)} via ancestor "${winner}"`
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate category declarations against what they inherit
+ *
+ * Checks, for properties and subobjects:
+ * - Parents that disagree on required/optional status (warning; required wins)
+ * - A child declaring optional what an ancestor requires (error; the
+ *   declaration has no effect since required wins)
+ * - A child redeclaring an inherited member with the same status (warning)
+ *
+ * A child may promote an inherited optional member to required.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateInheritance(entityIndex) {
+  const errors = []
+  const warnings = []
+  const { categories } = entityIndex
+
+  for (const [categoryId, category] of categories) {
+    const schema = resolveEffectiveSchema(categoryId, categories)
+    const parentSchemas = new Map(
+      (category.parents || [])
+        .filter(parentId => categories.has(parentId) && parentId !== categoryId)
+        .map(parentId => [parentId, resolveEffectiveSchema(parentId, categories)])
+    )
+
+    for (const kind of Object.keys(MEMBER_NAMES)) {
+      const result = checkInheritedMembers({ ...category, id: categoryId }, schema, parentSchemas, kind)
+      errors.push(...result.errors)
+      warnings.push(...result.warnings)
+    }
+  }
+
+  return { errors, warnings }
+}
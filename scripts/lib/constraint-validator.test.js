@@ -1,7 +1,7 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { validateConstraints } from './constraint-validator.js'
-import { createMockEntityIndex } from '../__fixtures__/mock-entity-index.js'
+import { validateConstraints, validateInheritance } from './constraint-validator.js'
+import { createMockEntityIndex, createInheritanceIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('validateConstraints', () => {
   describe('Category property overlap', () => {
@@ -238,3 +238,99 @@ describe('validateConstraints', () => {
     })
   })
 })
+
+describe('validateInheritance', () => {
+  test('consistent hierarchy returns no errors or warnings', () => {
+    const index = createInheritanceIndex({
+      left: { required_properties: ['Has_name'] },
+      right: { required_properties: ['Has_name'], optional_properties: ['Has_email'] },
+      child: { required_properties: ['Has_email'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('parents disagreeing on status returns warning naming the winner', () => {
+    const index = createInheritanceIndex({
+      left: { optional_properties: ['Has_name'] },
+      right: { required_properties: ['Has_name'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'inherited-status-conflict')
+    assert.strictEqual(result.warnings[0].file, 'categories/Child.wikitext')
+    assert.ok(result.warnings[0].message.includes('required via parent(s) Right but optional via Left'))
+    assert.ok(result.warnings[0].message.includes('"Right" wins'))
+  })
+
+  test('child declaring the member explicitly resolves a parent conflict', () => {
+    const index = createInheritanceIndex({
+      left: { optional_subobjects: ['Has_address'] },
+      right: { required_subobjects: ['Has_address'] },
+      child: { required_subobjects: ['Has_address'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'redundant-declaration')
+    assert.ok(result.warnings[0].message.startsWith('Subobject "Has address"'))
+  })
+
+  test('child demoting an inherited required property returns error', () => {
+    const index = createInheritanceIndex({
+      right: { required_properties: ['Has_name'] },
+      child: { optional_properties: ['Has_name'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'required-demotion')
+    assert.strictEqual(result.errors[0].file, 'categories/Child.wikitext')
+    assert.ok(result.errors[0].message.includes('required by ancestor "Right"'))
+  })
+
+  test('demotion is reported against a grandparent', () => {
+    const index = createInheritanceIndex({ child: { optional_properties: ['Has_name'] } })
+    index.categories.set('Root', { id: 'Root', required_properties: ['Has_name'] })
+    index.categories.get('Left').parents = ['Root']
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('"Root"'))
+  })
+
+  test('redeclaring an inherited optional property returns warning', () => {
+    const index = createInheritanceIndex({
+      left: { optional_properties: ['Has_notes'] },
+      child: { optional_properties: ['Has_notes'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'redundant-declaration')
+    assert.ok(result.warnings[0].message.includes('already optional via ancestor "Left"'))
+  })
+
+  test('promoting an inherited optional property to required is allowed', () => {
+    const index = createInheritanceIndex({
+      left: { optional_properties: ['Has_notes'] },
+      child: { required_properties: ['Has_notes'] }
+    })
+
+    const result = validateInheritance(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+})
@@ -1,11 +1,23 @@
-import { DepGraph } from 'dependency-graph'
+/**
+ * Cycle detector for entity hierarchies
+ *
+ * Finds every independent cycle (strongly connected component) in category
+ * inheritance, property parent_property chains, dashboard parent pages and
+ * module dependencies, so all of them can be fixed in one pass.
+ */
+
+import { indexDashboardPages } from './entity-index.js'
+import { locate } from './wikitext-parser.js'
 
 /**
  * Build a dependency graph from entities using a custom dependency extractor
  *
+ * Dependencies on entities that are not in the map are dropped (the
+ * reference validator reports them).
+ *
  * @param {Map<string, object>} entities - Entity map from index
  * @param {function(object): string|string[]} getDependencies - Function to extract dependencies from an entity
- * @returns {DepGraph} Graph where edges represent dependencies
+ * @returns {Map<string, string[]>} Adjacency list: entity ID -> IDs it depends on
  *
  * @example
  * // Categories use parents array
@@ -15,66 +27,155 @@ import { DepGraph } from 'dependency-graph'
  * buildEntityGraph(properties, entity => entity.parent_property)
  */
 export function buildEntityGraph(entities, getDependencies) {
-  const graph = new DepGraph()
-
-  // First pass: add all entities as nodes
-  for (const [entityId] of entities) {
-    graph.addNode(entityId)
-  }
+  const graph = new Map()
 
-  // Second pass: add dependency edges
   for (const [entityId, entity] of entities) {
     const deps = getDependencies(entity)
     const depArray = Array.isArray(deps) ? deps : deps ? [deps] : []
 
-    for (const depId of depArray) {
-      if (graph.hasNode(depId)) {
-        graph.addDependency(entityId, depId)
+    graph.set(entityId, [...new Set(depArray.filter(depId => entities.has(depId)))])
+  }
+
+  return graph
+}
+
+/**
+ * Find strongly connected components with Tarjan's algorithm
+ *
+ * Each component with more than one node, or a single node that depends
+ * on itself, is an independent cycle. Components are returned in
+ * discovery order, members in graph insertion order.
+ *
+ * @param {Map<string, string[]>} graph - Graph from buildEntityGraph
+ * @returns {string[][]} Components that contain a cycle
+ */
+export function findCyclicComponents(graph) {
+  const order = new Map([...graph.keys()].map((id, i) => [id, i]))
+  const index = new Map()
+  const lowLink = new Map()
+  const stack = []
+  const onStack = new Set()
+  const components = []
+  let counter = 0
+
+  // Iterative DFS: each frame is [node, position in its edge list]
+  for (const root of graph.keys()) {
+    if (index.has(root)) continue
+    const frames = [[root, 0]]
+    index.set(root, counter)
+    lowLink.set(root, counter++)
+    stack.push(root)
+    onStack.add(root)
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1]
+      const [node, position] = frame
+      const edges = graph.get(node)
+
+      if (position < edges.length) {
+        frame[1]++
+        const next = edges[position]
+        if (!index.has(next)) {
+          index.set(next, counter)
+          lowLink.set(next, counter++)
+          stack.push(next)
+          onStack.add(next)
+          frames.push([next, 0])
+        } else if (onStack.has(next)) {
+          lowLink.set(node, Math.min(lowLink.get(node), index.get(next)))
+        }
+        continue
+      }
+
+      frames.pop()
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1][0]
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)))
+      }
+
+      if (lowLink.get(node) === index.get(node)) {
+        const component = []
+        let member
+        do {
+          member = stack.pop()
+          onStack.delete(member)
+          component.push(member)
+        } while (member !== node)
+
+        if (component.length > 1 || edges.includes(node)) {
+          components.push(component.sort((a, b) => order.get(a) - order.get(b)))
+        }
       }
     }
   }
 
-  return graph
+  return components
 }
 
 /**
- * Check a graph for cycles and return errors
- * @param {DepGraph} graph - Graph to check
+ * Find a shortest cycle through the first member of a cyclic component
+ *
+ * @param {Map<string, string[]>} graph - Graph from buildEntityGraph
+ * @param {string[]} component - Component from findCyclicComponents
+ * @returns {string[]} Cycle path, starting and ending with the same node
+ */
+function findCyclePath(graph, component) {
+  const start = component[0]
+  const members = new Set(component)
+  const previous = new Map()
+  const queue = [start]
+
+  while (queue.length > 0) {
+    const node = queue.shift()
+    for (const next of graph.get(node)) {
+      if (!members.has(next)) continue
+      if (next === start) {
+        const path = []
+        for (let step = node; step !== start; step = previous.get(step)) path.unshift(step)
+        return [start, ...path, start]
+      }
+      if (!previous.has(next)) {
+        previous.set(next, node)
+        queue.push(next)
+      }
+    }
+  }
+
+  return [start, start]
+}
+
+/**
+ * Check a graph for cycles and return one error per independent cycle
+ *
+ * @param {Map<string, string[]>} graph - Graph to check
  * @param {string} graphType - Human-readable type name
  * @param {Map<string, object>} entityMap - Entity map for file path lookup
+ * @param {string} field - Entity field holding the dependency, for locate
  * @returns {Array} Array of error objects
  */
-function checkForCycles(graph, graphType, entityMap) {
+function checkForCycles(graph, graphType, entityMap, field) {
   const errors = []
 
-  try {
-    graph.overallOrder()  // Throws DepGraphCycleError if cycle exists
-  } catch (err) {
-    if (err.cyclePath) {
-      const cyclePath = err.cyclePath
-      const cycleStr = cyclePath.join(' -> ')
-
-      // Get file path from first entity in cycle
-      const firstEntityId = cyclePath[0]
-      const entity = entityMap.get(firstEntityId)
-      const filePath = entity ? entity._filePath : 'unknown'
-
-      errors.push({
-        file: filePath,
-        type: `circular-${graphType.replace(/ /g, '-')}`,
-        message: `Circular ${graphType} detected: ${cycleStr}`
-      })
-    } else {
-      // Re-throw unexpected errors
-      throw err
-    }
+  for (const component of findCyclicComponents(graph)) {
+    const cyclePath = findCyclePath(graph, component)
+    const participants = component.map(id => ({ id, file: entityMap.get(id)?._filePath || 'unknown' }))
+    const others = component.filter(id => !cyclePath.includes(id))
+    const involves = others.length > 0 ? `; also involves ${others.join(', ')}` : ''
+
+    errors.push({
+      file: participants[0].file,
+      ...locate(entityMap.get(cyclePath[0]), field, cyclePath[1]),
+      type: `circular-${graphType.replace(/ /g, '-')}`,
+      message: `Circular ${graphType} detected: ${cyclePath.join(' -> ')}${involves} (files: ${participants.map(p => p.file).join(', ')})`,
+      participants
+    })
   }
 
   return errors
 }
 
 /**
- * Detect cycles in all three graph types
+ * Detect cycles in category, property, dashboard and module hierarchies
  * @param {Object} entityIndex - Entity index from buildEntityIndex
  * @returns {{errors: Array}} Detection results
  */
@@ -89,7 +190,8 @@ export function detectCycles(entityIndex) {
   errors.push(...checkForCycles(
     categoryGraph,
     'category inheritance',
-    entityIndex.categories
+    entityIndex.categories,
+    'parents'
   ))
 
   // Check property parent_property cycles (GRPH-03)
@@ -100,7 +202,33 @@ export function detectCycles(entityIndex) {
   errors.push(...checkForCycles(
     propertyGraph,
     'property parent_property',
-    entityIndex.properties
+    entityIndex.properties,
+    'parent_property'
+  ))
+
+  // Check dashboard has_parent_dashboard cycles
+  const dashboardPages = indexDashboardPages(entityIndex.dashboards)
+  const dashboardGraph = buildEntityGraph(
+    dashboardPages,
+    page => page.parent_dashboard
+  )
+  errors.push(...checkForCycles(
+    dashboardGraph,
+    'dashboard parent',
+    dashboardPages,
+    'has_parent_dashboard'
+  ))
+
+  // Check module dependency cycles
+  const moduleGraph = buildEntityGraph(
+    entityIndex.modules,
+    entity => entity.dependencies || []
+  )
+  errors.push(...checkForCycles(
+    moduleGraph,
+    'module dependency',
+    entityIndex.modules,
+    'dependencies'
   ))
 
   return { errors }
@@ -1,6 +1,6 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { detectCycles } from './cycle-detector.js'
+import { detectCycles, buildEntityGraph, findCyclicComponents } from './cycle-detector.js'
 import { createMockEntityIndex, createCyclicIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('detectCycles', () => {
@@ -89,8 +89,32 @@ describe('detectCycles', () => {
 
       const result = detectCycles(index)
 
-      // dependency-graph typically reports one cycle at a time
-      assert.ok(result.errors.length >= 1)
+      assert.strictEqual(result.errors.length, 1)
+      assert.deepStrictEqual(result.errors[0].participants, [
+        { id: 'CycleA1', file: 'categories/CycleA1.json' },
+        { id: 'CycleA2', file: 'categories/CycleA2.json' }
+      ])
+    })
+
+    test('every independent cycle is reported with its files', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['A1', { id: 'A1', parents: ['A2'], _filePath: 'categories/A1.json' }],
+          ['A2', { id: 'A2', parents: ['A1'], _filePath: 'categories/A2.json' }],
+          ['B1', { id: 'B1', parents: ['B2'], _filePath: 'categories/B1.json' }],
+          ['B2', { id: 'B2', parents: ['B3'], _filePath: 'categories/B2.json' }],
+          ['B3', { id: 'B3', parents: ['B1', 'A1'], _filePath: 'categories/B3.json' }],
+          ['Self', { id: 'Self', parents: ['Self'], _filePath: 'categories/Self.json' }]
+        ])
+      })
+
+      const result = detectCycles(index)
+
+      assert.strictEqual(result.errors.length, 3)
+      const messages = result.errors.map(e => e.message).sort()
+      assert.ok(messages[0].includes('A1 -> A2 -> A1 (files: categories/A1.json, categories/A2.json)'))
+      assert.ok(messages[1].includes('B1 -> B2 -> B3 -> B1 (files: categories/B1.json, categories/B2.json, categories/B3.json)'))
+      assert.ok(messages[2].includes('Self -> Self'))
     })
   })
 
@@ -168,6 +192,65 @@ describe('detectCycles', () => {
     })
   })
 
+  describe('Dashboard parent cycles', () => {
+    /**
+     * Build a dashboard whose pages declare the given parents
+     */
+    function dashboardWithParents(parents) {
+      return new Map([
+        ['Overview', {
+          id: 'Overview',
+          pages: Object.entries(parents).map(([name, parent]) => ({
+            name,
+            parent_dashboard: parent,
+            wikitext: '',
+            _filePath: name ? `dashboards/Overview/${name}.wikitext` : 'dashboards/Overview.wikitext'
+          }))
+        }]
+      ])
+    }
+
+    test('subpages pointing at each other detected', () => {
+      const index = createMockEntityIndex({
+        dashboards: dashboardWithParents({ '': undefined, A: 'Overview/B', B: 'Overview/A' })
+      })
+
+      const result = detectCycles(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'circular-dashboard-parent')
+      assert.ok(result.errors[0].file.startsWith('dashboards/Overview/'))
+    })
+
+    test('subpages pointing at the root page pass', () => {
+      const index = createMockEntityIndex({
+        dashboards: dashboardWithParents({ '': undefined, A: 'Overview', B: 'Overview' })
+      })
+
+      const result = detectCycles(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+  })
+
+  describe('Module dependency cycles', () => {
+    test('modules depending on each other detected', () => {
+      const index = createMockEntityIndex({
+        modules: new Map([
+          ['Core', { id: 'Core', dependencies: ['Lab'], _filePath: 'modules/Core.json' }],
+          ['Lab', { id: 'Lab', dependencies: ['Core'], _filePath: 'modules/Lab.json' }],
+          ['Extra', { id: 'Extra', dependencies: ['Core'], _filePath: 'modules/Extra.json' }]
+        ])
+      })
+
+      const result = detectCycles(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'circular-module-dependency')
+      assert.ok(result.errors[0].message.includes('Core -> Lab -> Core'))
+    })
+  })
+
   describe('Combined scenarios', () => {
     test('empty entity index returns no errors', () => {
       const index = createMockEntityIndex()
@@ -242,3 +325,25 @@ describe('detectCycles', () => {
     })
   })
 })
+
+describe('findCyclicComponents', () => {
+  test('groups overlapping cycles into one component', () => {
+    const graph = buildEntityGraph(new Map([
+      ['A', { deps: ['B'] }],
+      ['B', { deps: ['A', 'C'] }],
+      ['C', { deps: ['B'] }],
+      ['D', { deps: ['A'] }]
+    ]), entity => entity.deps)
+
+    assert.deepStrictEqual(findCyclicComponents(graph), [['A', 'B', 'C']])
+  })
+
+  test('acyclic graph has no cyclic components', () => {
+    const graph = buildEntityGraph(new Map([
+      ['A', { deps: ['B', 'Missing'] }],
+      ['B', { deps: [] }]
+    ]), entity => entity.deps)
+
+    assert.deepStrictEqual(findCyclicComponents(graph), [])
+  })
+})
@@ -0,0 +1,216 @@
+/**
+ * Static analyzer for #ask queries in dashboards
+ *
+ * Dashboards reference categories and properties by page name inside
+ * {{#ask:}} queries, so renaming an entity silently empties the query on the
+ * wiki. This validator resolves every name a query uses against the entity
+ * index and checks that printouts belong to the schema of what is queried.
+ */
+
+import { extractAskQueries, resolvePageName } from './ask-query.js'
+import { resolveCategorySchema } from './schema-resolver.js'
+import { toPageName } from './wikitext-parser.js'
+import { suggestClosest, formatSuggestion } from './suggest.js'
+
+/**
+ * SMW special properties that may appear in queries without a property page
+ */
+const SMW_BUILTIN_PROPERTIES = new Set([
+  'Modification_date',
+  'Creation_date',
+  'Last_editor_is',
+  'Page_creator',
+  'Is_a_new_page',
+  'Display_title_of',
+  'Has_subobject',
+  'Has_query',
+  'Page_length'
+])
+
+/**
+ * Suggest the entity closest to a misspelled query name
+ *
+ * @param {string} key - Entity key as written in the query
+ * @param {...Map<string, object>} entityMaps - Entity maps to search
+ * @returns {string} Message suffix naming the suggested page, or ''
+ */
+function suggestName(key, ...entityMaps) {
+  const candidates = entityMaps.flatMap(entities => [...entities.keys()].map(toPageName))
+  return formatSuggestion(suggestClosest(toPageName(key), candidates))
+}
+
+/**
+ * Analyze a single query against the entity index
+ *
+ * @param {object} query - Parsed query from extractAskQueries
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {string} file - File the query appears in
+ * @returns {{errors: Array, warnings: Array}} Problems found in this query
+ */
+function analyzeQuery(query, entityIndex, file) {
+  const errors = []
+  const warnings = []
+  const { categories, properties, subobjects } = entityIndex
+
+  /**
+   * Resolve one property chain element, reporting it if unknown
+   *
+   * @param {string} element - Entity key, "-" prefixed for an inverse
+   * @param {string} usage - Where it is used, e.g. "condition [[Has name::+]]"
+   * @param {{line: number, column: number}} position - Location of that use
+   * @returns {{kind: 'property'|'subobject'|'builtin', id: string, inverse: boolean}|null}
+   */
+  const resolveChainElement = (element, usage, position) => {
+    const inverse = element.startsWith('-')
+    const key = inverse ? element.slice(1) : element
+
+    const propertyId = resolvePageName(key, properties)
+    if (propertyId) return { kind: 'property', id: propertyId, inverse }
+    const subobjectId = resolvePageName(key, subobjects)
+    if (subobjectId) return { kind: 'subobject', id: subobjectId, inverse }
+    if (SMW_BUILTIN_PROPERTIES.has(key)) return { kind: 'builtin', id: key, inverse }
+
+    errors.push({
+      file,
+      ...position,
+      type: 'unknown-query-property',
+      message: `Unknown property "${toPageName(key)}" in #ask ${usage}${suggestName(key, properties, subobjects)}`
+    })
+    return null
+  }
+
+  // Categories being queried (all category conditions, including disjunctions)
+  const queriedCategories = []
+  for (const condition of query.conditions) {
+    if (condition.type !== 'category') continue
+
+    for (const key of condition.categories) {
+      const categoryId = resolvePageName(key, categories)
+      if (categoryId) {
+        queriedCategories.push(categoryId)
+        continue
+      }
+
+      errors.push({
+        file,
+        line: condition.line,
+        column: condition.column,
+        type: 'unknown-query-category',
+        message: `Unknown category "${toPageName(key)}" in #ask condition [[${condition.raw}]]${suggestName(key, categories)}`
+      })
+    }
+  }
+
+  for (const condition of query.conditions) {
+    if (condition.type !== 'property') continue
+    for (const element of condition.chain) {
+      resolveChainElement(element, `condition [[${condition.raw}]]`, { line: condition.line, column: condition.column })
+    }
+  }
+
+  for (const key of (query.params.get('sort') || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    resolveChainElement(key.replace(/ /g, '_'), `sort=${query.params.get('sort')}`, query.positions.get('sort'))
+  }
+
+  // Members (properties and subobjects) reachable from the queried categories
+  let scope = null
+  if (queriedCategories.length > 0) {
+    scope = { label: `category "${queriedCategories.map(toPageName).join('", "')}"`, members: new Set() }
+    for (const categoryId of queriedCategories) {
+      const schema = resolveCategorySchema(categoryId, categories)
+      for (const member of Object.values(schema).flat()) scope.members.add(member)
+    }
+  }
+
+  for (const printout of query.printouts) {
+    // ?Category and the main column are built into SMW
+    if (printout.type !== 'property') continue
+
+    const usage = `printout ?${printout.chain.map(toPageName).join('.')}`
+    let hopScope = scope
+
+    for (const element of printout.chain) {
+      const resolved = resolveChainElement(element, usage, { line: printout.line, column: printout.column })
+      if (!resolved) break
+
+      if (hopScope && resolved.kind !== 'builtin' && !resolved.inverse && !hopScope.members.has(resolved.id)) {
+        warnings.push({
+          file,
+          line: printout.line,
+          column: printout.column,
+          type: 'printout-not-in-schema',
+          message: `Printout "${toPageName(resolved.id)}" in #ask ${usage} is not a property of ${hopScope.label} or its parents`
+        })
+      }
+
+      hopScope = nextScope(resolved, entityIndex)
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Determine which members the next element of a property chain may use
+ *
+ * A subobject hop continues into the subobject's properties; a Page
+ * property restricted to a category continues into that category's schema.
+ * Anything else ends schema checking for the chain.
+ *
+ * @param {{kind: string, id: string, inverse: boolean}} resolved - Resolved chain element
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{label: string, members: Set<string>}|null} Scope for the next hop
+ */
+function nextScope(resolved, entityIndex) {
+  if (resolved.inverse) return null
+
+  if (resolved.kind === 'subobject') {
+    const subobject = entityIndex.subobjects.get(resolved.id)
+    return {
+      label: `subobject "${toPageName(resolved.id)}"`,
+      members: new Set([...(subobject.required_properties || []), ...(subobject.optional_properties || [])])
+    }
+  }
+
+  if (resolved.kind === 'property') {
+    const categoryId = entityIndex.properties.get(resolved.id).Allows_value_from_category
+    const schema = categoryId && resolveCategorySchema(categoryId, entityIndex.categories)
+    if (schema) {
+      return { label: `category "${toPageName(categoryId)}"`, members: new Set(Object.values(schema).flat()) }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate #ask queries in all dashboard pages
+ *
+ * Checks:
+ * - Category conditions name existing categories
+ * - Properties in conditions, printouts and sort exist (as a property,
+ *   subobject or SMW special property; "-Prop" inverses are allowed)
+ * - Printouts belong to the effective schema of the queried categories,
+ *   following property chains through subobjects and category-restricted
+ *   Page properties (warning: SMW shows an empty column rather than failing)
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateDashboardQueries(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  for (const [, dashboard] of entityIndex.dashboards) {
+    for (const page of dashboard.pages || []) {
+      const file = page._filePath || dashboard._filePath
+      for (const query of extractAskQueries(page.wikitext)) {
+        const result = analyzeQuery(query, entityIndex, file)
+        errors.push(...result.errors)
+        warnings.push(...result.warnings)
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
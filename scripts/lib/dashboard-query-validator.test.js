@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateDashboardQueries } from './dashboard-query-validator.js'
+import { createDashboardQueryIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('validateDashboardQueries', () => {
+  test('valid query passes', () => {
+    const index = createDashboardQueryIndex(`{{#ask:
+ [[Category:Person]]
+ [[Has email::+]]
+ |?Has name
+ |?Has last name=Last
+ |sort=Has last name, Modification date
+}}`)
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('printout formats, ?Category and the main column are not unknown properties', () => {
+    for (const printout of ['?Has last name#-', '?Modification date#ISO=Updated', '?Category', '?=Name']) {
+      const index = createDashboardQueryIndex(`{{#ask: [[Category:Person]] |${printout} }}`)
+
+      const result = validateDashboardQueries(index)
+
+      assert.strictEqual(result.errors.length, 0, printout)
+      assert.strictEqual(result.warnings.length, 0, printout)
+    }
+  })
+
+  test('unknown category returns error with suggestion', () => {
+    const index = createDashboardQueryIndex('{{#ask: [[Category:person]] |?Has name}}\n{{#ask: [[Category:Researcher]] }}')
+
+    const result = validateDashboardQueries(index)
+
+    // Lowercase first letter resolves like a wiki page name
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'unknown-query-category')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Lab_overview.wikitext')
+    assert.ok(result.errors[0].message.includes('"Researcher"'))
+    assert.strictEqual(result.errors[0].line, 2)
+    assert.strictEqual(result.errors[0].column, 9)
+  })
+
+  test('unknown properties in conditions, printouts and sort return errors', () => {
+    const index = createDashboardQueryIndex(`{{#ask:
+ [[Category:Person]]
+ [[Has mail::+]]
+ |?Has first name
+ |sort=Has surname
+}}`)
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 3)
+    assert.ok(result.errors.every(e => e.type === 'unknown-query-property'))
+    assert.ok(result.errors[0].message.includes('condition [[Has mail::+]]'))
+    assert.ok(result.errors[1].message.includes('sort=Has surname'))
+    assert.ok(result.errors[2].message.includes('printout ?Has first name'))
+    assert.deepStrictEqual(result.errors.map(e => e.line), [3, 5, 4])
+  })
+
+  test('case mismatch gets a suggestion', () => {
+    const index = createDashboardQueryIndex('{{#ask: [[Category:Person]] |?Has Last Name}}')
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('did you mean "Has last name"'))
+  })
+
+  test('typos get a suggestion', () => {
+    const index = createDashboardQueryIndex('{{#ask: [[Category:Persn]] |?Has last nme}}')
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 2)
+    assert.ok(result.errors[0].message.includes('did you mean "Person"'))
+    assert.ok(result.errors[1].message.includes('did you mean "Has last name"'))
+  })
+
+  test('printout outside the queried category schema returns warning', () => {
+    const index = createDashboardQueryIndex('{{#ask: [[Category:Agent]] |?Has name |?Has email}}')
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'printout-not-in-schema')
+    assert.ok(result.warnings[0].message.includes('"Has email"'))
+    assert.ok(result.warnings[0].message.includes('category "Agent"'))
+  })
+
+  test('printout chains follow subobjects and category-restricted properties', () => {
+    const index = createDashboardQueryIndex(`{{#ask:
+ [[Category:Equipment]]
+ |?Has maintenance record.Has date
+ |?Has maintenance record.Has notes
+ |?Has operator.Has email
+ |?Has operator.Has date
+}}`)
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 2)
+    assert.ok(result.warnings[0].message.includes('subobject "Has maintenance record"'))
+    assert.ok(result.warnings[1].message.includes('category "Person"'))
+  })
+
+  test('inverse properties and queries without a category skip schema checks', () => {
+    const index = createDashboardQueryIndex(`{{#ask:
+ [[Category:Person]]
+ [[-Has operator::+]]
+ |?-Has operator=Operates
+}}
+{{#ask: [[Has email::+]] |?Has date}}`)
+
+    const result = validateDashboardQueries(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+})
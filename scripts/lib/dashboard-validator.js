@@ -0,0 +1,268 @@
+/**
+ * Dashboard validator
+ *
+ * Checks the {{Dashboard}} annotation block of each dashboard page against
+ * the Dashboard category schema, and the page hierarchy it declares:
+ * parent pages must exist and siblings need distinct sequence numbers.
+ * Parent cycles are reported by the cycle detector.
+ *
+ * Also checks that dashboards only query categories that are installed
+ * alongside them, according to their Module or Bundle scope.
+ */
+
+import { resolveCategorySchema } from './schema-resolver.js'
+import { isValidDatatypeValue, checkAllowedValue, formatAllowedValueMessage } from './value-validator.js'
+import { extractAskQueries } from './ask-query.js'
+import { computeInstalledEntities, getModuleDependencies } from './module-closure.js'
+import { computeBundleContents } from './bundle-validator.js'
+import { toPageName, locate, buildParamLookup } from './wikitext-parser.js'
+import { suggestClosest, formatSuggestion } from './suggest.js'
+import { indexDashboardPages } from './entity-index.js'
+
+/**
+ * Category whose schema dashboard annotation blocks follow
+ */
+export const DASHBOARD_CATEGORY = 'Dashboard'
+
+/**
+ * Check a page's annotation params against the Dashboard category schema
+ *
+ * @param {object} page - Dashboard page with params
+ * @param {object} schema - Effective Dashboard schema from resolveCategorySchema
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Problems found on this page
+ */
+function validatePageAnnotations(page, schema, entityIndex) {
+  const errors = []
+  const warnings = []
+  const lookup = buildParamLookup(entityIndex.properties)
+  const allowed = new Set([...schema.required_properties, ...schema.optional_properties])
+  const allowedParams = [...allowed].map(propertyId => propertyId.toLowerCase())
+  const provided = new Set()
+
+  for (const [param, value] of Object.entries(page.params)) {
+    const matches = lookup.get(param.toLowerCase()) || []
+    if (matches.length > 1) {
+      errors.push({
+        file: page._filePath,
+        ...locate(page, param),
+        type: 'ambiguous-dashboard-property',
+        message: `Parameter "${param}" matches properties "${matches.join('", "')}", which differ only in case`
+      })
+      continue
+    }
+
+    const [propertyId] = matches
+    if (!propertyId || !allowed.has(propertyId)) {
+      errors.push({
+        file: page._filePath,
+        ...locate(page, param),
+        type: 'disallowed-dashboard-property',
+        message: `Parameter "${param}" is not a property of category "${DASHBOARD_CATEGORY}"` +
+          formatSuggestion(suggestClosest(param, allowedParams))
+      })
+      continue
+    }
+    if (value === '') continue
+    provided.add(propertyId)
+
+    const property = entityIndex.properties.get(propertyId)
+    if (!isValidDatatypeValue(value, property.datatype)) {
+      errors.push({
+        file: page._filePath,
+        ...locate(page, param),
+        type: 'invalid-value',
+        message: `Parameter "${param}" has value "${value}" which is not a valid ${property.datatype} for property "${propertyId}"`
+      })
+    }
+
+    if (property.allowed_values?.length) {
+      const { valid, suggestion } = checkAllowedValue(value, property.allowed_values)
+      if (!valid) {
+        errors.push({
+          file: page._filePath,
+          ...locate(page, param),
+          type: 'invalid-allowed-value',
+          message: formatAllowedValueMessage(`Parameter "${param}"`, value, property, suggestion)
+        })
+      }
+    }
+  }
+
+  for (const propertyId of schema.required_properties) {
+    if (!provided.has(propertyId)) {
+      warnings.push({
+        file: page._filePath,
+        type: 'missing-required-property',
+        message: `Dashboard page is missing required property "${toPageName(propertyId)}" of category "${DASHBOARD_CATEGORY}"`
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate dashboard annotation blocks and page hierarchy
+ *
+ * Checks:
+ * - {{Dashboard}} params are properties of the Dashboard category (or its
+ *   parents) with values matching their datatype and allowed values
+ * - has_parent_dashboard points at an existing dashboard page
+ * - has_sequence_number is unique among pages sharing a parent, and among
+ *   top-level dashboards
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateDashboards(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  const pages = indexDashboardPages(entityIndex.dashboards)
+  const schema = resolveCategorySchema(DASHBOARD_CATEGORY, entityIndex.categories)
+
+  // parent page key (null for top-level pages) -> sequence number -> first page using it
+  const siblingSequences = new Map()
+
+  for (const [pageKey, page] of pages) {
+    if (!page.params) continue
+
+    if (schema) {
+      const result = validatePageAnnotations(page, schema, entityIndex)
+      errors.push(...result.errors)
+      warnings.push(...result.warnings)
+    }
+
+    if (page.parent_dashboard && !pages.has(page.parent_dashboard)) {
+      errors.push({
+        file: page._filePath,
+        ...locate(page, 'has_parent_dashboard'),
+        type: 'missing-reference',
+        message: `Parent dashboard "OntologyDashboard:${toPageName(page.parent_dashboard)}" of "${toPageName(pageKey)}" does not exist in dashboards`
+      })
+    }
+
+    const sequence = Number(page.sequence_number)
+    if (page.sequence_number !== undefined && !Number.isNaN(sequence)) {
+      const parent = page.parent_dashboard || null
+      if (!siblingSequences.has(parent)) {
+        siblingSequences.set(parent, new Map())
+      }
+      const sequences = siblingSequences.get(parent)
+      const firstKey = sequences.get(sequence)
+
+      if (firstKey) {
+        errors.push({
+          file: page._filePath,
+          ...locate(page, 'has_sequence_number'),
+          type: 'duplicate-sequence-number',
+          message: `Sequence number ${page.sequence_number} of "${toPageName(pageKey)}" is already used by sibling "${toPageName(firstKey)}" ` +
+            (parent ? `under "${toPageName(parent)}"` : 'among top-level dashboards')
+        })
+      } else {
+        sequences.set(sequence, pageKey)
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Collect the categories a module or bundle installs, keyed by owner ID
+ *
+ * @param {Map<string, object>} owners - Modules or bundles from the entity index
+ * @param {function(object): Set<string>} getCategories - Categories installed by one owner
+ * @returns {Map<string, {categories: Set<string>, dashboards: string[]}>} Owner ID -> installed categories and listed dashboards
+ */
+function collectInstalledCategories(owners, getCategories) {
+  const installed = new Map()
+  for (const [ownerId, owner] of owners) {
+    installed.set(ownerId, { categories: getCategories(owner), dashboards: owner.dashboards || [] })
+  }
+  return installed
+}
+
+/**
+ * Compute the categories installed by a set of modules and their dependencies
+ *
+ * @param {string[]} moduleIds - Modules installed together
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {Set<string>} Installed category IDs
+ */
+function computeInstalledCategories(moduleIds, entityIndex) {
+  const withDependencies = new Set(moduleIds)
+  for (const moduleId of moduleIds) {
+    for (const dependencyId of getModuleDependencies(moduleId, entityIndex)) withDependencies.add(dependencyId)
+  }
+  return computeInstalledEntities([...withDependencies], entityIndex).categories
+}
+
+/**
+ * Validate that dashboards only query categories available in their scope
+ *
+ * A dashboard with has_dashboard_scope=Module may only query categories
+ * installed by a module that lists it or by that module's dependencies. A
+ * Bundle dashboard may query any category installed by the modules of a
+ * bundle that lists it (and their dependencies). Categories a module only
+ * reaches through Allows_value_from_category are not installed with it.
+ * Subpages follow the scope of their root page. Dashboards without a scope,
+ * or not listed by any module or bundle, are skipped.
+ *
+ * A category that a bundle shipping the dashboard does not install, but
+ * some module does, is left to validateBundles, which names the modules to
+ * add; the query is reported once.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateDashboardScopes(entityIndex) {
+  const errors = []
+
+  const scopes = {
+    Module: collectInstalledCategories(entityIndex.modules, module => computeInstalledCategories([module.id], entityIndex)),
+    Bundle: collectInstalledCategories(entityIndex.bundles, bundle => computeInstalledCategories(bundle.modules || [], entityIndex))
+  }
+
+  const bundleContents = [...entityIndex.bundles.values()].map(bundle => computeBundleContents(bundle, entityIndex))
+  const provided = computeInstalledEntities([...entityIndex.modules.keys()], entityIndex).categories
+  const isReportedByBundle = (dashboardId, categoryId) => provided.has(categoryId) &&
+    bundleContents.some(contents => contents.dashboards.has(dashboardId) && !contents.categories.has(categoryId))
+
+  for (const [dashboardId, dashboard] of entityIndex.dashboards) {
+    const rootPage = (dashboard.pages || []).find(page => page.name === '')
+    const scope = rootPage?.dashboard_scope
+    if (!scopes[scope]) continue
+
+    const owners = [...scopes[scope]].filter(([, owner]) => owner.dashboards.includes(dashboardId))
+    if (owners.length === 0) continue
+
+    const available = new Set(owners.flatMap(([, owner]) => [...owner.categories]))
+    const ownerNames = owners.map(([ownerId]) => ownerId).join('", "')
+
+    for (const page of dashboard.pages) {
+      for (const query of extractAskQueries(page.wikitext)) {
+        for (const condition of query.conditions) {
+          if (condition.type !== 'category') continue
+
+          for (const categoryId of condition.categories) {
+            // Unknown categories are reported by validateDashboardQueries
+            if (!entityIndex.categories.has(categoryId) || available.has(categoryId)) continue
+            if (isReportedByBundle(dashboardId, categoryId)) continue
+
+            errors.push({
+              file: page._filePath || dashboard._filePath,
+              line: condition.line,
+              column: condition.column,
+              type: 'dashboard-scope-violation',
+              message: `${scope} dashboard "${dashboardId}" queries category "${toPageName(categoryId)}" which is not installed by ${scope.toLowerCase()} "${ownerNames}"`
+            })
+          }
+        }
+      }
+    }
+  }
+
+  return { errors }
+}
@@ -0,0 +1,193 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateDashboards, validateDashboardScopes } from './dashboard-validator.js'
+import { validateBundles } from './bundle-validator.js'
+import { createDashboardIndex, createDashboardScopeIndex } from '../__fixtures__/mock-entity-index.js'
+
+const ROOT = { has_description: 'Knowledge hub', has_dashboard_scope: 'Module' }
+
+describe('validateDashboards', () => {
+  test('valid hierarchy passes', () => {
+    const index = createDashboardIndex({
+      '': ROOT,
+      By_component: { has_parent_dashboard: 'OntologyDashboard:Knowledge overview', has_sequence_number: '1' },
+      By_difficulty: { has_parent_dashboard: 'OntologyDashboard:Knowledge overview', has_sequence_number: '2' }
+    })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('param outside the Dashboard schema returns error', () => {
+    const index = createDashboardIndex({ '': { ...ROOT, has_owner: 'Lab' } })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'disallowed-dashboard-property')
+    assert.ok(result.errors[0].message.includes('has_owner'))
+    assert.ok(!result.errors[0].message.includes('did you mean'))
+  })
+
+  test('param matching properties that differ only in case returns error', () => {
+    const index = createDashboardIndex({ '': ROOT })
+    index.properties.set('Has_Description', { id: 'Has_Description', datatype: 'Text' })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'ambiguous-dashboard-property')
+    assert.ok(result.errors[0].message.includes('"Has_description", "Has_Description"'))
+  })
+
+  test('misspelled param suggests the closest Dashboard property', () => {
+    const index = createDashboardIndex({ '': { ...ROOT, has_sequense_number: '1' } })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('did you mean "has_sequence_number"?'))
+  })
+
+  test('invalid datatype and allowed values return errors', () => {
+    const index = createDashboardIndex({ '': { has_dashboard_scope: 'module', has_sequence_number: 'first' } })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 2)
+    assert.strictEqual(result.errors[0].type, 'invalid-allowed-value')
+    assert.ok(result.errors[0].message.includes('did you mean "Module"'))
+    assert.strictEqual(result.errors[1].type, 'invalid-value')
+    assert.ok(result.errors[1].message.includes('Number'))
+  })
+
+  test('missing parent dashboard returns error', () => {
+    const index = createDashboardIndex({
+      '': ROOT,
+      FAQ: { has_parent_dashboard: 'OntologyDashboard:Knowledge hub', has_sequence_number: '1' }
+    })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'missing-reference')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Knowledge_overview/FAQ.wikitext')
+    assert.ok(result.errors[0].message.includes('OntologyDashboard:Knowledge hub'))
+  })
+
+  test('duplicate sibling sequence numbers return error', () => {
+    const index = createDashboardIndex({
+      '': ROOT,
+      By_component: { has_parent_dashboard: 'OntologyDashboard:Knowledge overview', has_sequence_number: '1' },
+      By_difficulty: { has_parent_dashboard: 'OntologyDashboard:Knowledge overview', has_sequence_number: '2' },
+      FAQ: { has_parent_dashboard: 'OntologyDashboard:Knowledge overview', has_sequence_number: '1.0' }
+    })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'duplicate-sequence-number')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Knowledge_overview/FAQ.wikitext')
+    assert.ok(result.errors[0].message.includes('Knowledge overview/By component'))
+  })
+
+  test('duplicate sequence numbers among top-level dashboards return error', () => {
+    const index = createDashboardIndex({ '': { ...ROOT, has_sequence_number: '1' } })
+    index.dashboards.set('Lab_overview', {
+      id: 'Lab_overview',
+      pages: [{ name: '', wikitext: '', params: { has_sequence_number: '1' }, sequence_number: '1', _filePath: 'dashboards/Lab_overview.wikitext' }],
+      _filePath: 'dashboards/Lab_overview.wikitext'
+    })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'duplicate-sequence-number')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Lab_overview.wikitext')
+    assert.ok(result.errors[0].message.includes('"Knowledge overview" among top-level dashboards'))
+  })
+
+  test('pages without an annotation block are skipped', () => {
+    const index = createDashboardIndex({})
+    index.dashboards.get('Knowledge_overview').pages.push({ name: '', wikitext: '== Hub ==', _filePath: 'dashboards/Knowledge_overview.wikitext' })
+
+    const result = validateDashboards(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+})
+
+describe('validateDashboardScopes', () => {
+  test('module dashboard may query its module and its dependencies', () => {
+    const index = createDashboardScopeIndex('Module', '{{#ask: [[Category:Guide]] }}\n{{#ask: [[Category:Person]] }}', { moduleDashboards: ['Overview'] })
+    index.modules.get('Knowledge').dependencies = ['Agents']
+
+    const result = validateDashboardScopes(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('module dashboard querying another module returns error on the subpage', () => {
+    const index = createDashboardScopeIndex('Module', '{{#ask: [[Category:Person]] }}', { moduleDashboards: ['Overview'] })
+
+    const result = validateDashboardScopes(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'dashboard-scope-violation')
+    assert.strictEqual(result.errors[0].file, 'dashboards/Overview/Details.wikitext')
+    assert.strictEqual(result.errors[0].line, 1)
+    assert.strictEqual(result.errors[0].column, 9)
+    assert.ok(result.errors[0].message.includes('"Person"'))
+    assert.ok(result.errors[0].message.includes('module "Knowledge"'))
+  })
+
+  test('module dashboard querying a value category of its properties returns error', () => {
+    const index = createDashboardScopeIndex('Module', '{{#ask: [[Category:Component]] }}', { moduleDashboards: ['Overview'] })
+
+    const result = validateDashboardScopes(index)
+
+    // Has_component draws values from Component, but no module installs it
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('"Component"'))
+  })
+
+  test('bundle dashboard may query any module in the bundle', () => {
+    const index = createDashboardScopeIndex('Bundle', '{{#ask: [[Category:Person]] }}\n{{#ask: [[Category:Guide]] }}', { bundleDashboards: ['Overview'] })
+
+    const result = validateDashboardScopes(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('bundle dashboard querying a category no module installs returns error', () => {
+    const index = createDashboardScopeIndex('Bundle', '{{#ask: [[Category:Component]] }}', { bundleDashboards: ['Overview'] })
+
+    const result = validateDashboardScopes(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('bundle "Research_lab"'))
+  })
+
+  test('query outside the bundle is reported once, by the bundle validator', () => {
+    for (const scope of ['Module', 'Bundle']) {
+      const index = createDashboardScopeIndex(scope, '{{#ask: [[Category:Material]] }}', { moduleDashboards: ['Overview'] })
+      index.bundles.get('Research_lab').dashboards = ['Overview']
+
+      const errors = [...validateDashboardScopes(index).errors, ...validateBundles(index).errors]
+
+      assert.strictEqual(errors.length, 1, scope)
+      assert.strictEqual(errors[0].type, 'bundle-dashboard-missing-module', scope)
+      assert.ok(errors[0].message.includes('Materials'), scope)
+    }
+  })
+
+  test('dashboards without scope or owner are skipped', () => {
+    const unscoped = createDashboardScopeIndex(undefined, '{{#ask: [[Category:Material]] }}', { moduleDashboards: ['Overview'] })
+    const unlisted = createDashboardScopeIndex('Module', '{{#ask: [[Category:Material]] }}')
+
+    assert.strictEqual(validateDashboardScopes(unscoped).errors.length, 0)
+    assert.strictEqual(validateDashboardScopes(unlisted).errors.length, 0)
+  })
+})
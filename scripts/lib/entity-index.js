@@ -1,6 +1,7 @@
 import fg from 'fast-glob'
 import fs from 'node:fs'
 import path from 'node:path'
+import parseJson from 'json-parse-even-better-errors'
 import { ENTITY_TYPES_SET, GLOB_IGNORE_PATTERNS } from './constants.js'
 import {
   parseCategory,
@@ -10,6 +11,9 @@ import {
   parseDashboardPage,
   parseResource,
   parseFilePath,
+  diagnoseAnnotationBlock,
+  findUnknownParams,
+  toPageName,
 } from './wikitext-parser.js'
 
 /**
@@ -20,7 +24,94 @@ const WIKITEXT_PARSERS = {
   properties: parseProperty,
   subobjects: parseSubobject,
   templates: parseTemplate,
-  resources: parseResource,
+}
+
+/**
+ * Template the OntologySync block must call, by entity type directory name.
+ * Resources call the template named after their category directory;
+ * templates have no annotation block.
+ */
+const BLOCK_TEMPLATES = {
+  categories: 'Category',
+  properties: 'Property',
+  subobjects: 'Subobject',
+  dashboards: 'Dashboard',
+}
+
+/**
+ * Get the template a wikitext file's OntologySync block must call
+ * @param {string} entityType - Entity type directory name
+ * @param {string} entityKey - Entity key derived from the file path
+ * @returns {string|null} Template name, or null if the file has no block to check
+ */
+function getBlockTemplate(entityType, entityKey) {
+  if (entityType === 'resources') {
+    return entityKey.includes('/') ? toPageName(entityKey.split('/')[0]) : null
+  }
+  return BLOCK_TEMPLATES[entityType] || null
+}
+
+/**
+ * Find the offset at which JSON text stops being a valid prefix
+ *
+ * For errors that V8 reports without a position ("Unexpected token ']', ...
+ * is not valid JSON"). A prefix is still valid while parsing it fails only
+ * at its end, so the first invalid prefix ends at the offending character.
+ *
+ * @param {string} content - JSON text that failed to parse
+ * @returns {number} Offset of the offending character
+ */
+function findJsonErrorOffset(content) {
+  const failsBefore = (length) => {
+    const prefix = content.slice(0, length)
+    try {
+      JSON.parse(prefix)
+      return false
+    } catch (err) {
+      if (/end of JSON input/.test(err.message)) return false
+      const match = err.message.match(/ position (\d+)/)
+      return !match || Number(match[1]) < length
+    }
+  }
+
+  let low = 1
+  let high = content.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (failsBefore(mid)) high = mid
+    else low = mid + 1
+  }
+  return low - 1
+}
+
+/**
+ * Convert a JSON parse error into a diagnostic position
+ *
+ * json-parse-even-better-errors reports the offset V8 gives for most syntax
+ * errors; unexpected tokens come without one and are located by probing.
+ *
+ * @param {Error} err - JSONParseError from parseJson
+ * @param {string} content - JSON text that failed to parse
+ * @returns {{line: number, column: number}} Position of the error
+ */
+function locateJsonError(err, content) {
+  const offset = err.position || findJsonErrorOffset(content)
+  const before = content.slice(0, offset).split('\n')
+  return { line: before.length, column: before[before.length - 1].length + 1 }
+}
+
+/**
+ * Describe a JSON parse error in one line, without the excerpt of the file
+ * and the offset that V8 adds to it (the diagnostic carries the position)
+ *
+ * @param {Error} err - JSONParseError from parseJson
+ * @returns {string} e.g. 'Unexpected token "]"'
+ */
+function describeJsonError(err) {
+  const [reason] = err.systemError.message.split(/, (?:\.\.\.)?"/)
+  return reason
+    .replace(/^Unexpected token '(.)'$/s, (_, token) => `Unexpected token ${JSON.stringify(token)}`)
+    .replace(/ in JSON at position \d+.*$/s, '')
 }
 
 /**
@@ -30,10 +121,21 @@ const WIKITEXT_PARSERS = {
  * and .json for bundles. Parses wikitext into structured dicts matching
  * the old JSON format so downstream validators work unchanged.
  *
+ * Files that cannot be parsed cleanly are recorded in index.diagnostics as
+ * {file, line, column, type, message} errors: missing OntologySync markers,
+ * no template call, the wrong template for the directory, and malformed
+ * module/bundle JSON. Wikitext files with a diagnostic are still indexed
+ * (with whatever could be parsed) so references to them resolve.
+ *
+ * In strict mode, params that {{Category}}, {{Property}} and {{Subobject}}
+ * do not understand (and the parser would drop) are diagnostics too.
+ *
  * @param {string} rootDir - Root directory to search from (defaults to cwd)
- * @returns {Promise<Object>} Entity index with Maps for each entity type
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Report unknown template params
+ * @returns {Promise<Object>} Entity index with Maps for each entity type and a diagnostics array
  */
-export async function buildEntityIndex(rootDir = process.cwd()) {
+export async function buildEntityIndex(rootDir = process.cwd(), { strict = false } = {}) {
   const index = {
     categories: new Map(),
     properties: new Map(),
@@ -43,7 +145,8 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
     bundles: new Map(),
     dashboards: new Map(),
     resources: new Map(),
-    media: new Map()
+    media: new Map(),
+    diagnostics: []
   }
 
   // Discover all entity files (.wikitext, .json for modules/bundles)
@@ -60,6 +163,9 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
   // Temporary storage for assembling multi-page dashboards
   const dashboardPages = new Map() // dashboardId -> [{name, wikitext, filePath}]
 
+  // Resources are parsed once all properties are known (see parseResource)
+  const resourceFiles = [] // [{content, entityKey, relativePath}]
+
   for (const relativePath of files) {
     const parsed = parseFilePath(relativePath)
     if (!parsed) continue
@@ -69,10 +175,20 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
     if (!ENTITY_TYPES_SET.has(entityType)) continue
 
     const absolutePath = path.join(rootDir, relativePath)
+    let content = ''
 
     try {
       if (fileType === 'wikitext') {
-        const content = fs.readFileSync(absolutePath, 'utf8')
+        content = fs.readFileSync(absolutePath, 'utf8')
+
+        const template = getBlockTemplate(entityType, entityKey)
+        if (template) {
+          const diagnostics = diagnoseAnnotationBlock(content, template, { optional: entityType === 'dashboards' })
+          if (strict && diagnostics.length === 0) diagnostics.push(...findUnknownParams(content, template))
+          for (const diagnostic of diagnostics) {
+            index.diagnostics.push({ file: relativePath, ...diagnostic })
+          }
+        }
 
         // Dashboards: collect pages for assembly
         if (entityType === 'dashboards') {
@@ -90,6 +206,11 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
           continue
         }
 
+        if (entityType === 'resources') {
+          resourceFiles.push({ content, entityKey, relativePath })
+          continue
+        }
+
         // All other wikitext entity types
         const parser = WIKITEXT_PARSERS[entityType]
         if (!parser) continue
@@ -100,9 +221,16 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
         index[entityType].set(data.id, { ...data, _filePath: relativePath })
       } else if (fileType === 'json') {
         // Module or bundle JSON
-        const content = fs.readFileSync(absolutePath, 'utf8')
-        const data = JSON.parse(content)
-        if (!data.id) continue
+        content = fs.readFileSync(absolutePath, 'utf8')
+        const data = parseJson(content)
+        if (!data?.id) {
+          index.diagnostics.push({
+            file: relativePath,
+            type: 'missing-field',
+            message: `${entityType === 'modules' ? 'Module' : 'Bundle'} file has no "id" field`
+          })
+          continue
+        }
 
         if (entityType === 'modules') {
           index.modules.set(data.id, { ...data, _filePath: relativePath })
@@ -111,11 +239,21 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
         }
       }
     } catch (err) {
-      // Skip files that can't be parsed (validate.js handles parse errors)
-      continue
+      const malformed = err.code === 'EJSONPARSE'
+      index.diagnostics.push({
+        file: relativePath,
+        ...(malformed ? locateJsonError(err, content) : {}),
+        type: fileType === 'json' ? 'malformed-json' : 'unreadable-file',
+        message: `Could not parse ${relativePath}: ${malformed ? describeJsonError(err) : err.message}`
+      })
     }
   }
 
+  for (const { content, entityKey, relativePath } of resourceFiles) {
+    const data = parseResource(content, entityKey, index.properties)
+    index.resources.set(data.id, { ...data, _filePath: relativePath })
+  }
+
   // Discover media files
   const MEDIA_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'])
   const mediaDir = path.join(rootDir, 'media')
@@ -167,8 +305,8 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
     const dashboard = {
       id: dashboardId,
       label: dashboardId.replace(/_/g, ' '),
-      description: '',
-      pages: pages.map(({ name, wikitext }) => ({ name, wikitext })),
+      description: rootPage?.description || '',
+      pages,
       _filePath: filePath,
     }
 
@@ -177,3 +315,19 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
 
   return index
 }
+
+/**
+ * Index every dashboard page by its page key
+ *
+ * @param {Map<string, object>} dashboards - Dashboard map from the entity index
+ * @returns {Map<string, object>} Page key (e.g. "Knowledge_overview/FAQ") -> page
+ */
+export function indexDashboardPages(dashboards) {
+  const pages = new Map()
+  for (const [dashboardId, dashboard] of dashboards) {
+    for (const page of dashboard.pages || []) {
+      pages.set(page.name ? `${dashboardId}/${page.name}` : dashboardId, page)
+    }
+  }
+  return pages
+}
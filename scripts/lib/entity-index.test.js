@@ -1,7 +1,8 @@
 import { describe, test, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import { buildEntityIndex } from './entity-index.js'
+import { buildEntityIndex, indexDashboardPages } from './entity-index.js'
 import { createEntityTempDir } from '../__fixtures__/temp-dir.js'
+import { createDashboardIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('buildEntityIndex', () => {
   let tempDir
@@ -36,6 +37,7 @@ describe('buildEntityIndex', () => {
     assert.ok(index.templates.has('Display'))
     assert.ok(index.modules.has('Core'))
     assert.ok(index.bundles.has('Default'))
+    assert.deepStrictEqual(index.diagnostics, [])
   })
 
   test('handles empty directories', async () => {
@@ -105,6 +107,104 @@ describe('buildEntityIndex', () => {
     assert.ok(index.categories.has('Valid'))
   })
 
+  test('records files without OntologySync markers but still indexes them', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('categories/Loose.wikitext', '{{Category\n|has_description=No markers\n}}\n')
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    assert.ok(index.categories.has('Loose'))
+    assert.deepStrictEqual(index.diagnostics.map(d => [d.file, d.type, d.line]), [['categories/Loose.wikitext', 'missing-markers', 1]])
+  })
+
+  test('records the position of a template call that does not match the directory', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('categories/Misplaced.wikitext', '<!-- OntologySync Start -->\n{{Property\n|has_type=Text\n}}\n<!-- OntologySync End -->\n')
+    tempDir.writeFile('resources/Glossary/Term.wikitext', '<!-- OntologySync Start -->\n{{SOP\n}}\n<!-- OntologySync End -->\n[[Category:Glossary]]\n')
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    assert.deepStrictEqual(
+      index.diagnostics.map(({ file, line, column, type }) => ({ file, line, column, type })),
+      [
+        { file: 'categories/Misplaced.wikitext', line: 2, column: 1, type: 'wrong-template-name' },
+        { file: 'resources/Glossary/Term.wikitext', line: 2, column: 1, type: 'wrong-template-name' }
+      ]
+    )
+    assert.ok(index.diagnostics[0].message.includes('{{Category}}'))
+  })
+
+  test('dashboard pages without a block are fine, but a block must call {{Dashboard}}', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('dashboards/Overview.wikitext', '== Overview ==\n')
+    tempDir.writeFile('dashboards/Overview/FAQ.wikitext', '<!-- OntologySync Start -->\n<!-- OntologySync End -->\n== FAQ ==\n')
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    assert.deepStrictEqual(index.diagnostics.map(d => [d.file, d.type]), [['dashboards/Overview/FAQ.wikitext', 'missing-template-call']])
+  })
+
+  test('records malformed module JSON with its position and skips it', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('modules/Broken.json', '{\n  "id": "Broken",\n  "categories": [],\n}\n')
+    tempDir.writeFile('bundles/Nameless.json', '{ "modules": [] }\n')
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    assert.strictEqual(index.modules.size, 0)
+    assert.strictEqual(index.bundles.size, 0)
+    const broken = index.diagnostics.find(d => d.file === 'modules/Broken.json')
+    const nameless = index.diagnostics.find(d => d.file === 'bundles/Nameless.json')
+    assert.deepStrictEqual([broken.file, broken.type, broken.line, broken.column], ['modules/Broken.json', 'malformed-json', 4, 1])
+    assert.strictEqual(nameless.type, 'missing-field')
+  })
+
+  test('locates JSON errors V8 reports without a position, in a one-line message', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('modules/Trailing.json', '{\n  "id": "Trailing",\n  "categories": ["A",]\n}\n')
+    tempDir.writeFile('bundles/Typo.json', '{\n  "id": "Typo",\n  "modules": tru\n}\n')
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    assert.deepStrictEqual(
+      index.diagnostics.map(({ file, type, line, column }) => ({ file, type, line, column })),
+      [
+        { file: 'bundles/Typo.json', type: 'malformed-json', line: 3, column: 17 },
+        { file: 'modules/Trailing.json', type: 'malformed-json', line: 3, column: 22 }
+      ]
+    )
+    assert.ok(index.diagnostics.every(d => !d.message.includes('\n')))
+    assert.strictEqual(index.diagnostics[1].message, 'Could not parse modules/Trailing.json: Unexpected token "]"')
+  })
+
+  test('reports unknown template params only in strict mode', async () => {
+    tempDir = createEntityTempDir({})
+    tempDir.writeFile('subobjects/Address.wikitext', '<!-- OntologySync Start -->\n{{Subobject\n|has_requird_property=Has street\n}}\n<!-- OntologySync End -->\n')
+
+    const lenient = await buildEntityIndex(tempDir.path)
+    const strict = await buildEntityIndex(tempDir.path, { strict: true })
+
+    assert.deepStrictEqual(lenient.diagnostics, [])
+    assert.deepStrictEqual(strict.diagnostics.map(d => [d.file, d.type, d.line]), [['subobjects/Address.wikitext', 'unknown-template-param', 3]])
+    assert.ok(strict.diagnostics[0].message.includes('"has_required_property"'))
+  })
+
+  test('splits resource values using the cardinality of indexed properties', async () => {
+    tempDir = createEntityTempDir({
+      properties: [
+        { id: 'Has_technique', label: 'Has technique', datatype: 'Page', cardinality: 'multiple' },
+        { id: 'Has_purpose', label: 'Has purpose', datatype: 'Text', cardinality: 'single' }
+      ],
+      resources: [{ id: 'SOP/Soldering', label: 'Soldering', category: 'SOP', Has_technique: ['Soldering', 'SMD assembly'], Has_purpose: 'Setup, use, cleanup' }]
+    })
+
+    const index = await buildEntityIndex(tempDir.path)
+
+    const resource = index.resources.get('SOP/Soldering')
+    assert.deepStrictEqual(resource.Has_technique, ['Soldering', 'SMD assembly'])
+    assert.strictEqual(resource.Has_purpose, 'Setup, use, cleanup')
+  })
+
   test('ignores files in non-entity directories', async () => {
     tempDir = createEntityTempDir({
       categories: [{ id: 'Agent', label: 'Agent', description: 'An agent' }]
@@ -118,3 +218,13 @@ describe('buildEntityIndex', () => {
     assert.strictEqual(index.categories.size, 1)
   })
 })
+
+describe('indexDashboardPages', () => {
+  test('keys root and subpages by page path', () => {
+    const index = createDashboardIndex({ '': {}, FAQ: { has_description: 'FAQs' } })
+
+    const pages = indexDashboardPages(index.dashboards)
+
+    assert.deepStrictEqual([...pages.keys()], ['Knowledge_overview', 'Knowledge_overview/FAQ'])
+  })
+})
@@ -0,0 +1,236 @@
+/**
+ * Module closure computation
+ *
+ * A module lists only its categories; everything those categories need is
+ * implicit. The closure is the full set of entities OntologySync has to
+ * install for the module to work: parent categories, properties and
+ * subobjects, parent properties, display templates, and the categories
+ * that Page properties draw their values from.
+ *
+ * OntologySync resolves only structural dependencies at install time
+ * (parents, properties, subobjects, templates). Closure members reached
+ * through parent_property or allowed-value categories must therefore be
+ * provided by the module itself, a module it depends on, or another module
+ * of the same bundle (or one of their dependencies).
+ */
+
+/**
+ * Entity types tracked in a closure, in report order
+ */
+export const CLOSURE_TYPES = ['categories', 'properties', 'subobjects', 'templates']
+
+/**
+ * Singular entity type names for messages
+ */
+const SINGULAR = {
+  categories: 'category',
+  properties: 'property',
+  subobjects: 'subobject',
+  templates: 'template'
+}
+
+/**
+ * Compute the transitive closure of a set of categories
+ *
+ * Unknown entities are skipped (the reference validator reports them).
+ *
+ * @param {string[]} categoryIds - Categories to start from
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Object} [options]
+ * @param {boolean} [options.valueCategories=true] - Follow Allows_value_from_category
+ * @param {boolean} [options.parentProperties=true] - Follow parent_property
+ * @returns {{categories: Set<string>, properties: Set<string>, subobjects: Set<string>, templates: Set<string>}}
+ *   Entity IDs in the closure, by entity type
+ */
+export function computeCategoryClosure(categoryIds, entityIndex, { valueCategories = true, parentProperties = true } = {}) {
+  const closure = {
+    categories: new Set(),
+    properties: new Set(),
+    subobjects: new Set(),
+    templates: new Set()
+  }
+  const categoryQueue = [...categoryIds]
+
+  const addProperty = (propertyId) => {
+    while (propertyId && !closure.properties.has(propertyId)) {
+      const property = entityIndex.properties.get(propertyId)
+      if (!property) return
+      closure.properties.add(propertyId)
+
+      if (property.has_display_template && entityIndex.templates.has(property.has_display_template)) {
+        closure.templates.add(property.has_display_template)
+      }
+      if (valueCategories && property.Allows_value_from_category) {
+        categoryQueue.push(property.Allows_value_from_category)
+      }
+      propertyId = parentProperties ? property.parent_property : null
+    }
+  }
+
+  const addSubobject = (subobjectId) => {
+    if (closure.subobjects.has(subobjectId)) return
+    const subobject = entityIndex.subobjects.get(subobjectId)
+    if (!subobject) return
+    closure.subobjects.add(subobjectId)
+
+    for (const propertyId of [...(subobject.required_properties || []), ...(subobject.optional_properties || [])]) {
+      addProperty(propertyId)
+    }
+  }
+
+  while (categoryQueue.length > 0) {
+    const categoryId = categoryQueue.shift()
+    if (closure.categories.has(categoryId)) continue
+    const category = entityIndex.categories.get(categoryId)
+    if (!category) continue
+    closure.categories.add(categoryId)
+
+    categoryQueue.push(...(category.parents || []))
+    for (const propertyId of [...(category.required_properties || []), ...(category.optional_properties || [])]) {
+      addProperty(propertyId)
+    }
+    for (const subobjectId of [...(category.required_subobjects || []), ...(category.optional_subobjects || [])]) {
+      addSubobject(subobjectId)
+    }
+  }
+
+  return closure
+}
+
+/**
+ * Compute the transitive closure of a module
+ *
+ * @param {string} moduleId - Module to resolve
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{categories: Set<string>, properties: Set<string>, subobjects: Set<string>, templates: Set<string>}|null}
+ *   Entity IDs in the closure, or null if the module does not exist
+ */
+export function computeModuleClosure(moduleId, entityIndex) {
+  const module = entityIndex.modules.get(moduleId)
+  if (!module) return null
+  return computeCategoryClosure(module.categories || [], entityIndex)
+}
+
+/**
+ * Compute what a set of modules makes available when installed together
+ *
+ * This is everything the modules list explicitly plus the structural
+ * dependencies OntologySync resolves for their categories.
+ *
+ * @param {string[]} moduleIds - Modules installed together
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{categories: Set<string>, properties: Set<string>, subobjects: Set<string>, templates: Set<string>}}
+ */
+export function computeInstalledEntities(moduleIds, entityIndex) {
+  const modules = moduleIds.map(id => entityIndex.modules.get(id)).filter(Boolean)
+
+  const installed = computeCategoryClosure(
+    modules.flatMap(module => module.categories || []),
+    entityIndex,
+    { valueCategories: false, parentProperties: false }
+  )
+
+  for (const module of modules) {
+    for (const type of CLOSURE_TYPES) {
+      for (const id of module[type] || []) installed[type].add(id)
+    }
+  }
+
+  return installed
+}
+
+/**
+ * Get the transitive dependencies of a module
+ *
+ * Unknown modules are skipped and cycles are tolerated, like
+ * getCategoryAncestors.
+ *
+ * @param {string} moduleId - Module to start from
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {string[]} Module IDs it depends on, nearest first (excluding itself)
+ */
+export function getModuleDependencies(moduleId, entityIndex) {
+  const dependencies = []
+  const visited = new Set([moduleId])
+  const queue = [...(entityIndex.modules.get(moduleId)?.dependencies || [])]
+
+  while (queue.length > 0) {
+    const dependencyId = queue.shift()
+    if (visited.has(dependencyId)) continue
+    visited.add(dependencyId)
+
+    const dependency = entityIndex.modules.get(dependencyId)
+    if (!dependency) continue
+
+    dependencies.push(dependencyId)
+    queue.push(...(dependency.dependencies || []))
+  }
+
+  return dependencies
+}
+
+/**
+ * List the modules installed alongside a module: itself, every module of
+ * any bundle that includes it, and the dependencies of all of those
+ *
+ * @param {string} moduleId - Module to look up
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {string[]} Module IDs, starting with moduleId
+ */
+export function getBundleSiblings(moduleId, entityIndex) {
+  const siblings = new Set([moduleId])
+  for (const [, bundle] of entityIndex.bundles) {
+    if (!(bundle.modules || []).includes(moduleId)) continue
+    for (const id of bundle.modules) siblings.add(id)
+  }
+  for (const id of [...siblings]) {
+    for (const dependencyId of getModuleDependencies(id, entityIndex)) siblings.add(dependencyId)
+  }
+  return [...siblings]
+}
+
+/**
+ * Find closure members of a module that nothing installs
+ *
+ * @param {string} moduleId - Module to check
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{categories: string[], properties: string[], subobjects: string[], templates: string[]}|null}
+ *   Unavailable entity IDs by type, or null if the module does not exist
+ */
+export function findUnavailableClosureMembers(moduleId, entityIndex) {
+  const closure = computeModuleClosure(moduleId, entityIndex)
+  if (!closure) return null
+
+  const installed = computeInstalledEntities(getBundleSiblings(moduleId, entityIndex), entityIndex)
+  const unavailable = {}
+  for (const type of CLOSURE_TYPES) {
+    unavailable[type] = [...closure[type]].filter(id => !installed[type].has(id))
+  }
+  return unavailable
+}
+
+/**
+ * Validate that every module's closure is installable
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateModuleClosures(entityIndex) {
+  const errors = []
+
+  for (const [moduleId, module] of entityIndex.modules) {
+    const unavailable = findUnavailableClosureMembers(moduleId, entityIndex)
+
+    for (const type of CLOSURE_TYPES) {
+      for (const id of unavailable[type]) {
+        errors.push({
+          file: module._filePath,
+          type: 'unavailable-closure-member',
+          message: `Module "${moduleId}" needs ${SINGULAR[type]} "${id}" but neither it, its dependencies nor any module in its bundles provides it`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { computeCategoryClosure, computeModuleClosure, findUnavailableClosureMembers, getModuleDependencies, validateModuleClosures } from './module-closure.js'
+import { createMockEntityIndex, createClosureIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('computeCategoryClosure', () => {
+  test('follows parents, properties, subobjects, parent properties, templates and allowed-value categories', () => {
+    const closure = computeCategoryClosure(['Equipment'], createClosureIndex())
+
+    assert.deepStrictEqual([...closure.categories].sort(), ['Equipment', 'Person', 'Thing'])
+    assert.deepStrictEqual([...closure.properties].sort(), ['Has_date', 'Has_email', 'Has_name', 'Has_operator', 'Has_timestamp'])
+    assert.deepStrictEqual([...closure.subobjects], ['Has_maintenance_record'])
+    assert.deepStrictEqual([...closure.templates], ['Property/Email'])
+  })
+
+  test('install-time closure skips allowed-value categories and parent properties', () => {
+    const closure = computeCategoryClosure(['Equipment'], createClosureIndex(), { valueCategories: false, parentProperties: false })
+
+    assert.deepStrictEqual([...closure.categories].sort(), ['Equipment', 'Thing'])
+    assert.ok(closure.properties.has('Has_date'))
+    assert.ok(!closure.properties.has('Has_timestamp'))
+    assert.ok(!closure.properties.has('Has_email'))
+  })
+
+  test('skips unknown entities and tolerates cycles', () => {
+    const index = createClosureIndex()
+    index.categories.get('Thing').parents = ['Equipment', 'Missing']
+
+    const closure = computeCategoryClosure(['Equipment'], index)
+
+    assert.ok(!closure.categories.has('Missing'))
+    assert.ok(!closure.properties.has('Has_missing'))
+    assert.strictEqual(closure.categories.size, 3)
+  })
+})
+
+describe('computeModuleClosure', () => {
+  test('resolves the closure of the module categories', () => {
+    const closure = computeModuleClosure('Equipment', createClosureIndex())
+
+    assert.ok(closure.categories.has('Person'))
+    assert.ok(!closure.categories.has('Unrelated'))
+  })
+
+  test('returns null for unknown module', () => {
+    assert.strictEqual(computeModuleClosure('Missing', createClosureIndex()), null)
+  })
+})
+
+describe('findUnavailableClosureMembers', () => {
+  test('reports members only reachable through allowed-value categories and parent properties', () => {
+    const unavailable = findUnavailableClosureMembers('Equipment', createClosureIndex())
+
+    assert.deepStrictEqual(unavailable.categories, ['Person'])
+    assert.deepStrictEqual(unavailable.properties.sort(), ['Has_email', 'Has_timestamp'])
+    assert.deepStrictEqual(unavailable.templates, ['Property/Email'])
+  })
+
+  test('members provided by a module of the same bundle are available', () => {
+    const index = createClosureIndex()
+    index.modules.get('Equipment').properties = ['Has_timestamp']
+    index.modules.set('Agents', { id: 'Agents', categories: ['Person'], dashboards: [] })
+    index.bundles.set('Lab', { id: 'Lab', modules: ['Equipment', 'Agents'] })
+
+    const unavailable = findUnavailableClosureMembers('Equipment', index)
+
+    assert.deepStrictEqual(unavailable, { categories: [], properties: [], subobjects: [], templates: [] })
+  })
+
+  test('members provided by a dependency are available', () => {
+    const index = createClosureIndex()
+    index.modules.get('Equipment').dependencies = ['Agents']
+    index.modules.get('Equipment').properties = ['Has_timestamp']
+    index.modules.set('Agents', { id: 'Agents', categories: ['Person'], dashboards: [] })
+
+    const unavailable = findUnavailableClosureMembers('Equipment', index)
+
+    assert.deepStrictEqual(unavailable.categories, [])
+  })
+
+  test('modules in another bundle do not count', () => {
+    const index = createClosureIndex()
+    index.modules.set('Agents', { id: 'Agents', categories: ['Person'], dashboards: [] })
+    index.bundles.set('Lab', { id: 'Lab', modules: ['Equipment'] })
+    index.bundles.set('Directory', { id: 'Directory', modules: ['Agents'] })
+
+    const unavailable = findUnavailableClosureMembers('Equipment', index)
+
+    assert.deepStrictEqual(unavailable.categories, ['Person'])
+  })
+})
+
+describe('getModuleDependencies', () => {
+  test('returns transitive dependencies nearest first, skipping unknown modules and cycles', () => {
+    const index = createMockEntityIndex({
+      modules: new Map([
+        ['Lab', { id: 'Lab', dependencies: ['Agents', 'Missing'] }],
+        ['Agents', { id: 'Agents', dependencies: ['Places', 'Lab'] }],
+        ['Places', { id: 'Places' }]
+      ])
+    })
+
+    assert.deepStrictEqual(getModuleDependencies('Lab', index), ['Agents', 'Places'])
+  })
+})
+
+describe('validateModuleClosures', () => {
+  test('returns one error per unavailable member', () => {
+    const index = createClosureIndex()
+    index.modules.get('Equipment')._filePath = 'modules/Equipment.json'
+
+    const result = validateModuleClosures(index)
+
+    assert.strictEqual(result.errors.length, 4)
+    assert.ok(result.errors.every(e => e.type === 'unavailable-closure-member'))
+    assert.strictEqual(result.errors[0].file, 'modules/Equipment.json')
+    assert.ok(result.errors[0].message.includes('category "Person"'))
+  })
+})
@@ -0,0 +1,153 @@
+/**
+ * Module dependency validator
+ *
+ * A module owns the categories it lists, the properties and subobjects
+ * those categories declare directly, the properties of those subobjects,
+ * the display templates of its properties, and anything it lists
+ * explicitly. When an owned entity references an entity that only other
+ * modules own (a parent category, a parent property via subproperty_of, or
+ * the category a Page property draws its values from), one of those modules
+ * must be among the module's declared dependencies, directly or transitively.
+ *
+ * Modules often draw values from each other's categories (a Component links
+ * to its SOP, an SOP to its Components). Where the owning module already
+ * depends on the referencing one, declaring the dependency would create a
+ * cycle, so that value-category reference is left to the module closure
+ * validator, which checks that both are installed together.
+ */
+
+import { CLOSURE_TYPES, getModuleDependencies } from './module-closure.js'
+import { toPageName } from './wikitext-parser.js'
+
+/**
+ * Compute the entities a module owns
+ *
+ * @param {object} module - Module entity
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{categories: Set<string>, properties: Set<string>, subobjects: Set<string>, templates: Set<string>}}
+ */
+export function computeOwnedEntities(module, entityIndex) {
+  const owned = {}
+  for (const type of CLOSURE_TYPES) {
+    owned[type] = new Set(module[type] || [])
+  }
+
+  for (const categoryId of owned.categories) {
+    const category = entityIndex.categories.get(categoryId)
+    if (!category) continue
+    for (const propertyId of [...(category.required_properties || []), ...(category.optional_properties || [])]) {
+      owned.properties.add(propertyId)
+    }
+    for (const subobjectId of [...(category.required_subobjects || []), ...(category.optional_subobjects || [])]) {
+      owned.subobjects.add(subobjectId)
+    }
+  }
+
+  for (const subobjectId of owned.subobjects) {
+    const subobject = entityIndex.subobjects.get(subobjectId)
+    for (const propertyId of [...(subobject?.required_properties || []), ...(subobject?.optional_properties || [])]) {
+      owned.properties.add(propertyId)
+    }
+  }
+
+  for (const propertyId of owned.properties) {
+    const template = entityIndex.properties.get(propertyId)?.has_display_template
+    if (template) owned.templates.add(template)
+  }
+
+  return owned
+}
+
+/**
+ * List the inheritance and value-category references of a module's owned entities
+ *
+ * @param {object} owned - Result of computeOwnedEntities
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {Array<{type: string, id: string, from: string, relation: string}>}
+ *   Referenced entities, with the owned entity that references them
+ */
+function collectReferences(owned, entityIndex) {
+  const references = []
+
+  for (const categoryId of owned.categories) {
+    for (const parentId of entityIndex.categories.get(categoryId)?.parents || []) {
+      references.push({ type: 'categories', id: parentId, from: categoryId, relation: 'parent category' })
+    }
+  }
+  for (const propertyId of owned.properties) {
+    const property = entityIndex.properties.get(propertyId)
+    if (property?.parent_property) {
+      references.push({ type: 'properties', id: property.parent_property, from: propertyId, relation: 'parent property' })
+    }
+    if (property?.Allows_value_from_category) {
+      references.push({ type: 'categories', id: property.Allows_value_from_category, from: propertyId, relation: 'value category' })
+    }
+  }
+
+  return references
+}
+
+/**
+ * Validate declared module dependencies against cross-module references
+ *
+ * Checks:
+ * - An entity a module inherits from or draws values from, owned only by
+ *   other modules, is owned by one of its (transitive) dependencies (error)
+ * - Every declared dependency provides at least one such entity (warning)
+ *
+ * Entities no module owns are skipped (the orphan detector reports them),
+ * as are unknown dependencies (the reference validator reports them).
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateModuleDependencies(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  const ownedByModule = new Map()
+  for (const [moduleId, module] of entityIndex.modules) {
+    ownedByModule.set(moduleId, computeOwnedEntities(module, entityIndex))
+  }
+  const ownersOf = (type, id) => [...ownedByModule]
+    .filter(([, owned]) => owned[type].has(id))
+    .map(([moduleId]) => moduleId)
+
+  for (const [moduleId, module] of entityIndex.modules) {
+    const owned = ownedByModule.get(moduleId)
+    const dependencies = new Set(getModuleDependencies(moduleId, entityIndex))
+    const providers = new Set()
+
+    for (const reference of collectReferences(owned, entityIndex)) {
+      if (owned[reference.type].has(reference.id)) continue
+      const owners = ownersOf(reference.type, reference.id)
+      if (owners.length === 0) continue
+      if (reference.relation === 'value category' &&
+        owners.some(ownerId => getModuleDependencies(ownerId, entityIndex).includes(moduleId))) continue
+
+      const declared = owners.filter(ownerId => dependencies.has(ownerId))
+      for (const ownerId of declared) providers.add(ownerId)
+      if (declared.length > 0) continue
+
+      errors.push({
+        file: module._filePath,
+        type: 'undeclared-module-dependency',
+        message: `Module "${moduleId}" uses "${toPageName(reference.id)}" (${reference.relation} of "${toPageName(reference.from)}") from module(s) ${owners.join(', ')} but does not declare a dependency on any of them`
+      })
+    }
+
+    for (const dependencyId of module.dependencies || []) {
+      if (!entityIndex.modules.has(dependencyId)) continue
+      const provided = [dependencyId, ...getModuleDependencies(dependencyId, entityIndex)]
+      if (provided.some(id => providers.has(id))) continue
+
+      warnings.push({
+        file: module._filePath,
+        type: 'unused-module-dependency',
+        message: `Module "${moduleId}" declares dependency "${dependencyId}" but none of its entities inherit from or draw values from entities in it`
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
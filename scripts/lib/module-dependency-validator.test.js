@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { computeOwnedEntities, validateModuleDependencies } from './module-dependency-validator.js'
+import { createModuleDependencyIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('computeOwnedEntities', () => {
+  test('owns listed categories, their direct members, subobject properties and templates', () => {
+    const index = createModuleDependencyIndex()
+
+    const owned = computeOwnedEntities(index.modules.get('Knowledge'), index)
+
+    assert.deepStrictEqual([...owned.categories], ['Workshop', 'Guide'])
+    assert.deepStrictEqual([...owned.properties], ['Has_session_date', 'Has_trainer', 'Has_step_text'])
+    assert.deepStrictEqual([...owned.subobjects], ['Has_step'])
+    assert.deepStrictEqual([...owned.templates], ['Property/Step'])
+  })
+})
+
+describe('validateModuleDependencies', () => {
+  test('inheriting from an undeclared module returns errors', () => {
+    const result = validateModuleDependencies(createModuleDependencyIndex())
+
+    assert.strictEqual(result.errors.length, 2)
+    assert.ok(result.errors.every(e => e.type === 'undeclared-module-dependency'))
+    assert.strictEqual(result.errors[0].file, 'modules/Knowledge.json')
+    assert.ok(result.errors[0].message.includes('"Event" (parent category of "Workshop") from module(s) Activities'))
+    assert.ok(result.errors[1].message.includes('"Has date" (parent property of "Has session date")'))
+  })
+
+  test('drawing values from an undeclared module returns error', () => {
+    const index = createModuleDependencyIndex({
+      knowledgeDependencies: ['Activities'],
+      extraModules: [['Agents', { id: 'Agents', categories: ['Person'], dependencies: [] }]]
+    })
+
+    const result = validateModuleDependencies(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'undeclared-module-dependency')
+    assert.ok(result.errors[0].message.includes('"Person" (value category of "Has trainer") from module(s) Agents'))
+  })
+
+  test('declared value-category dependency passes and counts as a use', () => {
+    const index = createModuleDependencyIndex({
+      knowledgeDependencies: ['Activities', 'Agents'],
+      extraModules: [['Agents', { id: 'Agents', categories: ['Person'], dependencies: [] }]]
+    })
+
+    const result = validateModuleDependencies(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('value category of a module that depends on this one is not required', () => {
+    const index = createModuleDependencyIndex({
+      knowledgeDependencies: ['Activities'],
+      extraModules: [['Agents', { id: 'Agents', categories: ['Person'], dependencies: ['Knowledge'] }]]
+    })
+
+    const result = validateModuleDependencies(index)
+
+    // Declaring Agents would make Knowledge and Agents depend on each other
+    assert.ok(!result.errors.some(e => e.file === 'modules/Knowledge.json'))
+  })
+
+  test('declared dependency passes', () => {
+    const result = validateModuleDependencies(createModuleDependencyIndex({ knowledgeDependencies: ['Activities'] }))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('transitive dependency passes and counts as a use', () => {
+    const index = createModuleDependencyIndex({
+      knowledgeDependencies: ['Events'],
+      extraModules: [['Events', { id: 'Events', categories: [], dependencies: ['Activities'] }]]
+    })
+
+    const result = validateModuleDependencies(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.ok(!result.warnings.some(w => w.file === 'modules/Knowledge.json'))
+  })
+
+  test('unused declared dependency returns warning', () => {
+    const index = createModuleDependencyIndex({
+      knowledgeDependencies: ['Activities', 'Places'],
+      extraModules: [['Places', { id: 'Places', categories: [], dependencies: [] }]]
+    })
+
+    const result = validateModuleDependencies(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'unused-module-dependency')
+    assert.ok(result.warnings[0].message.includes('"Places"'))
+  })
+
+  test('entities owned by no module and unknown dependencies are skipped', () => {
+    const index = createModuleDependencyIndex({ knowledgeDependencies: ['Activities', 'Missing'] })
+
+    const result = validateModuleDependencies(index)
+
+    assert.ok(!result.errors.some(e => e.message.includes('Document')))
+    assert.strictEqual(result.warnings.length, 0)
+  })
+})
@@ -1,11 +1,14 @@
 /**
  * Orphan detector for entity definitions
  *
- * Finds entities that are not referenced by any module.
- * Orphaned entities are warnings, not errors - they don't block CI.
+ * Finds entities that are not referenced by any module, and properties,
+ * subobjects, templates and resources that no module reaches through its
+ * categories. Orphaned entities are warnings, not errors - they don't block CI.
  */
 
 import { MODULE_ENTITY_TYPES } from './constants.js'
+import { CLOSURE_TYPES, computeCategoryClosure } from './module-closure.js'
+import { DASHBOARD_CATEGORY } from './dashboard-validator.js'
 
 /**
  * Find entities that are not referenced by any module
@@ -68,3 +71,67 @@ export function findOrphanedEntities(entityIndex) {
 
   return { warnings }
 }
+
+/**
+ * Entity types checked for reachability, with their singular names
+ */
+const REACHABLE_TYPES = {
+  properties: 'Property',
+  subobjects: 'Subobject',
+  templates: 'Template'
+}
+
+/**
+ * Find properties, subobjects, templates and resources no module reaches
+ *
+ * Reachability starts from every module's categories and follows parent
+ * categories, category and subobject properties, subobjects, parent
+ * properties (subproperty_of), display templates and allowed-value
+ * categories. Entities a module lists explicitly are reachable too, and
+ * the Dashboard category is reachable once any module or bundle ships a
+ * dashboard, since its properties annotate dashboard pages. A resource is
+ * reachable when its category is.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{warnings: Array}} Detection results
+ */
+export function findUnreachableEntities(entityIndex) {
+  const warnings = []
+  const modules = [...entityIndex.modules.values()]
+  const shipsDashboards = [...modules, ...entityIndex.bundles.values()]
+    .some(owner => (owner.dashboards || []).length > 0)
+
+  const reachable = computeCategoryClosure(
+    [...modules.flatMap(mod => mod.categories || []), ...(shipsDashboards ? [DASHBOARD_CATEGORY] : [])],
+    entityIndex
+  )
+  for (const mod of modules) {
+    for (const entityType of CLOSURE_TYPES) {
+      for (const entityId of (mod[entityType] || [])) reachable[entityType].add(entityId)
+    }
+  }
+
+  for (const [entityType, name] of Object.entries(REACHABLE_TYPES)) {
+    for (const [entityId, entity] of entityIndex[entityType]) {
+      if (reachable[entityType].has(entityId)) continue
+      warnings.push({
+        file: entity._filePath,
+        type: 'unreachable-entity',
+        message: `${name} "${entityId}" is not used by any category, subobject or property reachable from a module`
+      })
+    }
+  }
+
+  for (const [resourceId, resource] of entityIndex.resources) {
+    // Resources without a known category are reported by validateResources
+    if (!resource.category || !entityIndex.categories.has(resource.category)) continue
+    if (reachable.categories.has(resource.category)) continue
+    warnings.push({
+      file: resource._filePath,
+      type: 'unreachable-entity',
+      message: `Resource "${resourceId}" belongs to category "${resource.category}" which no module installs`
+    })
+  }
+
+  return { warnings }
+}
@@ -1,7 +1,7 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { findOrphanedEntities } from './orphan-detector.js'
-import { createMockEntityIndex, createDependencyChainIndex } from '../__fixtures__/mock-entity-index.js'
+import { findOrphanedEntities, findUnreachableEntities } from './orphan-detector.js'
+import { createMockEntityIndex, createDependencyChainIndex, createReachabilityIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('findOrphanedEntities', () => {
   test('category in module is not orphan', () => {
@@ -149,3 +149,40 @@ describe('findOrphanedEntities', () => {
     assert.ok(result.warnings[0].message.includes('OrphanDash'))
   })
 })
+
+describe('findUnreachableEntities', () => {
+  test('reports entities no module reaches', () => {
+    const result = findUnreachableEntities(createReachabilityIndex())
+
+    assert.ok(result.warnings.every(w => w.type === 'unreachable-entity'))
+    assert.deepStrictEqual(result.warnings.map(w => w.file), [
+      'properties/Has_old_code.wikitext',
+      'properties/Has_unused.wikitext',
+      'subobjects/Has_old_record.wikitext',
+      'templates/Property/Old.wikitext',
+      'resources/Legacy/Thing.wikitext'
+    ])
+    assert.ok(result.warnings[4].message.includes('category "Legacy"'))
+  })
+
+  test('entities listed explicitly by a module are reachable', () => {
+    const index = createReachabilityIndex()
+    index.modules.get('Core').properties = ['Has_unused']
+    index.modules.get('Core').subobjects = ['Has_old_record']
+
+    const result = findUnreachableEntities(index)
+
+    assert.ok(!result.warnings.some(w => w.message.includes('Has_unused')))
+    assert.ok(!result.warnings.some(w => w.message.includes('Has_old_record')))
+  })
+
+  test('shipping a dashboard makes the Dashboard category properties reachable', () => {
+    const index = createReachabilityIndex()
+    index.categories.set('Dashboard', { id: 'Dashboard', optional_properties: ['Has_unused'] })
+    assert.ok(findUnreachableEntities(index).warnings.some(w => w.message.includes('Has_unused')))
+
+    index.modules.get('Core').dashboards = ['Overview']
+
+    assert.ok(!findUnreachableEntities(index).warnings.some(w => w.message.includes('Has_unused')))
+  })
+})
@@ -0,0 +1,298 @@
+/**
+ * Pattern validator for allows_pattern constraints
+ *
+ * SMW checks "Allows pattern" values with PHP's PCRE engine, while this
+ * validator runs in JavaScript. Patterns are therefore restricted to the
+ * syntax both engines read the same way, so that a resource value accepted
+ * here is also accepted on the wiki. Patterns that risk catastrophic
+ * backtracking are flagged, since SMW evaluates them on every page save.
+ */
+
+import { getResourcePropertyEntries } from './resource-validator.js'
+import { locate } from './wikitext-parser.js'
+
+/**
+ * Escapes that PCRE supports but JavaScript reads differently
+ * (usually as the literal letter)
+ */
+const PCRE_ONLY_ESCAPES = {
+  A: 'start-of-subject anchor \\A (use ^)',
+  Z: 'end-of-subject anchor \\Z (use $)',
+  z: 'end-of-subject anchor \\z (use $)',
+  G: 'match-start anchor \\G',
+  K: 'match reset \\K',
+  R: 'newline sequence \\R',
+  h: 'horizontal whitespace \\h',
+  H: 'non-horizontal-whitespace \\H',
+  X: 'extended grapheme \\X',
+  Q: 'quoted sequence \\Q...\\E',
+  E: 'quoted sequence \\Q...\\E',
+  p: 'Unicode property \\p{...}',
+  P: 'Unicode property \\P{...}'
+}
+
+/**
+ * PCRE code point escape \x{...}, which JavaScript without the u flag
+ * reads as the literal text "x{...}"
+ */
+const PCRE_CODE_POINT_ESCAPE = /^\\x\{[0-9A-Fa-f]*\}/
+const CODE_POINT_ESCAPE = 'code point escape \\x{...} (use \\xHH or the literal character)'
+
+/**
+ * Escapes that JavaScript supports but PCRE rejects
+ */
+const JS_ONLY_ESCAPES = {
+  u: 'Unicode escape \\uXXXX (use \\xHH or the literal character)'
+}
+
+/**
+ * Parse a quantifier starting at index i
+ *
+ * @param {string} pattern - Regex source
+ * @param {number} i - Index of the candidate quantifier
+ * @returns {{length: number, unbounded: boolean}|null} Quantifier info, or null
+ */
+function readQuantifier(pattern, i) {
+  const ch = pattern[i]
+  if (ch === '*' || ch === '+') return { length: 1, unbounded: true }
+  if (ch === '?') return { length: 1, unbounded: false }
+  if (ch === '{') {
+    const match = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/)
+    if (!match) return null
+    return { length: match[0].length, unbounded: match[2] !== undefined && match[3] === '' }
+  }
+  return null
+}
+
+/**
+ * Find the end of a character class starting at index i
+ *
+ * @param {string} pattern - Regex source
+ * @param {number} i - Index of the opening "["
+ * @returns {{end: number, posix: string|null, codePoint: boolean}} Index after
+ *   "]", the first POSIX class (e.g. "[:alpha:]") found inside, if any, and
+ *   whether it contains a \x{...} escape
+ */
+function readCharacterClass(pattern, i) {
+  let j = i + 1
+  if (pattern[j] === '^') j++
+  if (pattern[j] === ']') j++
+
+  let posix = null
+  let codePoint = false
+  while (j < pattern.length && pattern[j] !== ']') {
+    if (pattern[j] === '\\') {
+      const escape = pattern.slice(j).match(PCRE_CODE_POINT_ESCAPE)
+      codePoint = codePoint || !!escape
+      j += escape ? escape[0].length : 2
+      continue
+    }
+    const posixMatch = pattern.slice(j).match(/^\[:\^?[a-z]+:\]/)
+    if (posixMatch) {
+      posix = posix || posixMatch[0]
+      j += posixMatch[0].length
+      continue
+    }
+    j++
+  }
+  return { end: j + 1, posix, codePoint }
+}
+
+/**
+ * Analyze a pattern for engine-specific syntax and backtracking risks
+ *
+ * Walks the pattern once, tracking groups so that quantified groups can be
+ * checked for nested unbounded quantifiers (e.g. "(a+)+") and repeated
+ * identical alternatives (e.g. "(a|a)*"), the two shapes behind most
+ * catastrophic backtracking.
+ *
+ * @param {string} pattern - Regex source
+ * @returns {{incompatible: string[], risks: string[]}} Descriptions of problems found
+ */
+export function analyzePattern(pattern) {
+  const incompatible = []
+  const risks = []
+
+  // One frame per open group; the outermost frame is the whole pattern
+  const root = { start: 0, alternatives: [], altStart: 0, hasUnbounded: false }
+  const stack = [root]
+  let lastAtom = null
+  let i = 0
+
+  while (i < pattern.length) {
+    const ch = pattern[i]
+    const frame = stack[stack.length - 1]
+
+    if (ch === '\\') {
+      const next = pattern[i + 1]
+      const codePoint = pattern.slice(i).match(PCRE_CODE_POINT_ESCAPE)
+      if (codePoint) incompatible.push(CODE_POINT_ESCAPE)
+      if (PCRE_ONLY_ESCAPES[next]) incompatible.push(PCRE_ONLY_ESCAPES[next])
+      if (JS_ONLY_ESCAPES[next]) incompatible.push(JS_ONLY_ESCAPES[next])
+      lastAtom = { group: null }
+      i += codePoint ? codePoint[0].length : 2
+    } else if (ch === '[') {
+      const { end, posix, codePoint } = readCharacterClass(pattern, i)
+      if (posix) incompatible.push(`POSIX character class ${posix}`)
+      if (codePoint) incompatible.push(CODE_POINT_ESCAPE)
+      lastAtom = { group: null }
+      i = end
+    } else if (ch === '(') {
+      let j = i + 1
+      if (pattern[j] === '?') {
+        const rest = pattern.slice(j + 1)
+        if (rest.startsWith('>')) incompatible.push('atomic group (?>...)')
+        else if (rest.startsWith('|')) incompatible.push('branch reset group (?|...)')
+        else if (rest.startsWith('#')) incompatible.push('comment group (?#...)')
+        else if (rest.startsWith('P')) incompatible.push('Python-style named group (?P...)')
+        else if (/^(R|\d|[+-]\d)/.test(rest)) incompatible.push('recursion (?R)')
+        else if (/^[a-zA-Z^-]+[):]/.test(rest)) incompatible.push('inline flags (?i)')
+
+        const prefix = rest.match(/^(:|=|!|<=|<!|<[A-Za-z_]\w*>)/)
+        j += 1 + (prefix ? prefix[0].length : 0)
+      }
+      stack.push({ start: j, alternatives: [], altStart: j, hasUnbounded: false })
+      lastAtom = null
+      i = j
+    } else if (ch === ')') {
+      if (stack.length === 1) break
+      const group = stack.pop()
+      group.alternatives.push(pattern.slice(group.altStart, i))
+      if (group.hasUnbounded) stack[stack.length - 1].hasUnbounded = true
+      lastAtom = { group }
+      i++
+    } else if (ch === '|') {
+      frame.alternatives.push(pattern.slice(frame.altStart, i))
+      frame.altStart = i + 1
+      lastAtom = null
+      i++
+    } else {
+      const quantifier = readQuantifier(pattern, i)
+      if (!quantifier) {
+        lastAtom = { group: null }
+        i++
+        continue
+      }
+
+      i += quantifier.length
+      if (pattern[i] === '+') {
+        incompatible.push('possessive quantifier')
+        i++
+      } else if (pattern[i] === '?') {
+        i++
+      }
+
+      if (!quantifier.unbounded) continue
+      const group = lastAtom?.group
+      if (group) {
+        const body = group.alternatives.join('|')
+        if (group.hasUnbounded) {
+          risks.push(`nested unbounded quantifier in "(${body})"`)
+        }
+        const duplicates = group.alternatives.filter((alt, idx) => group.alternatives.indexOf(alt) !== idx)
+        if (duplicates.length > 0) {
+          risks.push(`repeated alternative "${duplicates[0]}" in "(${body})"`)
+        }
+      }
+      frame.hasUnbounded = true
+      lastAtom = null
+    }
+  }
+
+  return { incompatible: [...new Set(incompatible)], risks }
+}
+
+/**
+ * Compile an allows_pattern value
+ *
+ * @param {string} pattern - Regex source as written in the property
+ * @returns {{regex: RegExp|null, error: string|null}} Compiled regex, or the
+ *   reason it could not be compiled portably
+ *
+ * @example
+ * compilePattern('^[0-9]{4}-[0-9]{4}$').regex.test('1234-5678') // true
+ * compilePattern('^\\Aabc').error // 'uses start-of-subject anchor \\A (use ^), which ...'
+ */
+export function compilePattern(pattern) {
+  const { incompatible } = analyzePattern(pattern)
+  if (incompatible.length > 0) {
+    return {
+      regex: null,
+      error: `uses ${incompatible.join(', ')}, which PCRE (SMW) and JavaScript do not interpret the same way`
+    }
+  }
+
+  let regex
+  try {
+    regex = new RegExp(pattern)
+  } catch (err) {
+    return { regex: null, error: `does not compile: ${err.message}` }
+  }
+
+  return { regex, error: null }
+}
+
+/**
+ * Validate allows_pattern constraints and resource values against them
+ *
+ * Checks:
+ * - Each pattern compiles and only uses syntax shared by PCRE and JavaScript
+ * - Patterns at risk of catastrophic backtracking (warning)
+ * - Resource values of patterned properties match the pattern. Like SMW,
+ *   the pattern is not implicitly anchored; use ^ and $ to match whole values.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validatePatterns(entityIndex) {
+  const errors = []
+  const warnings = []
+  const compiled = new Map()
+
+  for (const [propertyId, property] of entityIndex.properties) {
+    if (!property.allowed_pattern) continue
+
+    const { regex, error } = compilePattern(property.allowed_pattern)
+    if (error) {
+      errors.push({
+        file: property._filePath,
+        ...locate(property, 'allowed_pattern'),
+        type: 'invalid-pattern',
+        message: `Allows pattern "${property.allowed_pattern}" ${error}`
+      })
+      continue
+    }
+    compiled.set(propertyId, regex)
+
+    for (const risk of analyzePattern(property.allowed_pattern).risks) {
+      warnings.push({
+        file: property._filePath,
+        ...locate(property, 'allowed_pattern'),
+        type: 'unsafe-pattern',
+        message: `Allows pattern "${property.allowed_pattern}" may backtrack catastrophically: ${risk}`
+      })
+    }
+  }
+
+  for (const [, resource] of entityIndex.resources) {
+    for (const { param, field, propertyId, value, instance } of getResourcePropertyEntries(resource, entityIndex.properties)) {
+      const regex = compiled.get(propertyId)
+      if (!regex) continue
+      const { allowed_pattern: pattern } = entityIndex.properties.get(propertyId)
+
+      const values = Array.isArray(value) ? value : [value]
+      for (const item of values) {
+        if (item === '' || regex.test(item)) continue
+
+        errors.push({
+          file: resource._filePath,
+          ...locate(instance || resource, field, item),
+          type: 'pattern-mismatch',
+          message: `Parameter "${param}" has value "${item}" which does not match the allowed pattern "${pattern}" of property "${propertyId}"`
+        })
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
@@ -0,0 +1,121 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { analyzePattern, compilePattern, validatePatterns } from './pattern-validator.js'
+import { createPatternIndex } from '../__fixtures__/mock-entity-index.js'
+
+const ORCID_PATTERN = '^[0-9]{4}-[0-9]{4}-[0-9]{4}-[0-9]{3}[0-9X]$'
+
+describe('compilePattern', () => {
+  test('compiles portable pattern', () => {
+    const { regex, error } = compilePattern(ORCID_PATTERN)
+
+    assert.strictEqual(error, null)
+    assert.ok(regex.test('0000-0002-1825-0097'))
+    assert.ok(!regex.test('0000-0002-1825'))
+  })
+
+  test('reports pattern that does not compile', () => {
+    const { regex, error } = compilePattern('^[0-9')
+
+    assert.strictEqual(regex, null)
+    assert.ok(error.startsWith('does not compile'))
+  })
+
+  test('reports PCRE-only syntax before compiling', () => {
+    for (const [pattern, feature] of [
+      ['\\Aabc', '\\A'],
+      ['(?i)abc', 'inline flags'],
+      ['a++b', 'possessive quantifier'],
+      ['(?>a|ab)c', 'atomic group'],
+      ['[[:alpha:]]+', '[:alpha:]'],
+      ['\\p{L}+', 'Unicode property']
+    ]) {
+      const { regex, error } = compilePattern(pattern)
+      assert.strictEqual(regex, null, pattern)
+      assert.ok(error.includes(feature), `${pattern}: ${error}`)
+    }
+  })
+
+  test('reports JavaScript-only syntax', () => {
+    const { error } = compilePattern('^caf\\u00e9$')
+
+    assert.ok(error.includes('\\uXXXX'))
+    assert.ok(!error.includes('\\x{'))
+  })
+
+  test('reports PCRE code point escapes, also inside character classes', () => {
+    for (const pattern of ['^caf\\x{00e9}$', '^caf[\\x{e0}-\\x{ff}]$']) {
+      const { regex, error } = compilePattern(pattern)
+      assert.strictEqual(regex, null, pattern)
+      assert.ok(error.includes('\\x{...}'), `${pattern}: ${error}`)
+    }
+  })
+
+  test('two-digit hex escapes are portable', () => {
+    const { regex, error } = compilePattern('^caf\\xe9$')
+
+    assert.strictEqual(error, null)
+    assert.ok(regex.test('café'))
+  })
+})
+
+describe('analyzePattern', () => {
+  test('finds nested unbounded quantifiers', () => {
+    assert.strictEqual(analyzePattern('^(a+)+$').risks.length, 1)
+    assert.strictEqual(analyzePattern('^((ab)*c)*$').risks.length, 1)
+    assert.strictEqual(analyzePattern('^([a-z]+\\s?)*$').risks.length, 1)
+  })
+
+  test('finds repeated alternatives under a quantifier', () => {
+    const { risks } = analyzePattern('^(a|b|a)*$')
+
+    assert.strictEqual(risks.length, 1)
+    assert.ok(risks[0].includes('"a"'))
+  })
+
+  test('bounded repetition and plain patterns are safe', () => {
+    assert.deepStrictEqual(analyzePattern(ORCID_PATTERN).risks, [])
+    assert.deepStrictEqual(analyzePattern('^(a+){1,3}$').risks, [])
+    assert.deepStrictEqual(analyzePattern('^(?:ab|cd)+$').risks, [])
+    assert.deepStrictEqual(analyzePattern('^[(+]+$').risks, [])
+  })
+
+  test('named groups and lookarounds are portable', () => {
+    assert.deepStrictEqual(analyzePattern('^(?<year>\\d{4})(?=-)(?!-00)').incompatible, [])
+  })
+})
+
+describe('validatePatterns', () => {
+  test('matching resource value passes', () => {
+    const result = validatePatterns(createPatternIndex(ORCID_PATTERN, '0000-0002-1825-0097'))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('non-matching resource value returns error', () => {
+    const result = validatePatterns(createPatternIndex(ORCID_PATTERN, ['0000-0002-1825-0097', '0000-0002']))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'pattern-mismatch')
+    assert.strictEqual(result.errors[0].file, 'resources/Person/Jane_doe.wikitext')
+    assert.ok(result.errors[0].message.includes('"0000-0002"'))
+    assert.ok(result.errors[0].message.includes(ORCID_PATTERN))
+  })
+
+  test('invalid pattern returns error on the property and skips values', () => {
+    const result = validatePatterns(createPatternIndex('^[0-9', 'anything'))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'invalid-pattern')
+    assert.strictEqual(result.errors[0].file, 'properties/Has_ORCID.wikitext')
+  })
+
+  test('backtracking-prone pattern returns warning', () => {
+    const result = validatePatterns(createPatternIndex('^([0-9]+-?)+$', '1234-5678'))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'unsafe-pattern')
+  })
+})
@@ -1,3 +1,7 @@
+import { getResourcePropertyEntries } from './resource-validator.js'
+import { getCategoryAncestors } from './schema-resolver.js'
+import { toEntityKey, locate } from './wikitext-parser.js'
+
 /**
  * Declarative map of entity types to their reference fields and target types
  *
@@ -17,11 +21,13 @@ export const REFERENCE_FIELDS = {
   },
   properties: {
     parent_property: 'properties',
-    has_display_template: 'templates'
+    has_display_template: 'templates',
+    Allows_value_from_category: 'categories'
   },
   modules: {
     categories: 'categories',
-    dashboards: 'dashboards'
+    dashboards: 'dashboards',
+    dependencies: 'modules'
   },
   bundles: {
     modules: 'modules',
@@ -68,6 +74,7 @@ export function validateReferences(entityIndex) {
           if (refId === entityId && targetType === entityType) {
             errors.push({
               file: entity._filePath,
+              ...locate(entity, fieldName, refId),
               type: 'self-reference',
               message: `Self-reference in field "${fieldName}": "${refId}" references itself`
             })
@@ -79,6 +86,7 @@ export function validateReferences(entityIndex) {
           if (!targetIndex.has(refId)) {
             errors.push({
               file: entity._filePath,
+              ...locate(entity, fieldName, refId),
               type: 'missing-reference',
               message: `Missing reference in field "${fieldName}": "${refId}" does not exist in ${targetType}`
             })
@@ -91,6 +99,95 @@ export function validateReferences(entityIndex) {
   return { errors, warnings }
 }
 
+/**
+ * Severity levels for resource links that don't resolve to a resource in
+ * this repo. Many link targets (people, equipment) only exist on the wiki.
+ */
+const UNRESOLVED_LINK_LEVELS = new Set(['warning', 'error', 'ignore'])
+
+/**
+ * Index resources by page name (the last segment of the resource ID)
+ *
+ * @param {Map<string, object>} resources - Resource map from the entity index
+ * @returns {Map<string, object[]>} Page name key -> resources with that name
+ */
+function buildResourcePageIndex(resources) {
+  const pages = new Map()
+  for (const [resourceId, resource] of resources) {
+    const pageKey = resourceId.split('/').pop()
+    if (!pages.has(pageKey)) pages.set(pageKey, [])
+    pages.get(pageKey).push(resource)
+  }
+  return pages
+}
+
+/**
+ * Validate Page-typed resource values against allows_value_from_category.
+ *
+ * A value like has_technique=Soldering is resolved to a resource page in this
+ * repo by name. A resolved resource must belong to the allowed category or
+ * one of its descendants. Values that don't resolve are reported at the
+ * configured level, since the target page may live only on the wiki.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Object} [options]
+ * @param {'warning'|'error'|'ignore'} [options.unresolvedLinks='warning'] - How to report unresolved values
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateResourceLinks(entityIndex, { unresolvedLinks = 'warning' } = {}) {
+  const errors = []
+  const warnings = []
+
+  if (!UNRESOLVED_LINK_LEVELS.has(unresolvedLinks)) {
+    throw new Error(`Invalid unresolvedLinks level "${unresolvedLinks}" (expected warning, error or ignore)`)
+  }
+
+  const pages = buildResourcePageIndex(entityIndex.resources)
+
+  for (const [, resource] of entityIndex.resources) {
+    for (const { param, field, propertyId, value, instance } of getResourcePropertyEntries(resource, entityIndex.properties)) {
+      if (!propertyId) continue
+
+      const property = entityIndex.properties.get(propertyId)
+      const allowedCategory = property.Allows_value_from_category
+      if (property.datatype !== 'Page' || !allowedCategory) continue
+
+      for (const item of normalizeToArray(value)) {
+        if (item.trim() === '') continue
+
+        const targets = pages.get(toEntityKey(item.trim())) || []
+        if (targets.length === 0) {
+          if (unresolvedLinks === 'ignore') continue
+          const issue = {
+            file: resource._filePath,
+            ...locate(instance || resource, field, item.trim()),
+            type: 'unresolved-link',
+            message: `Parameter "${param}" links to "${item}" which is not a resource in this repo (expected category "${allowedCategory}")`
+          }
+          if (unresolvedLinks === 'error') errors.push(issue)
+          else warnings.push(issue)
+          continue
+        }
+
+        const matches = targets.some(target =>
+          target.category === allowedCategory ||
+          getCategoryAncestors(target.category, entityIndex.categories).includes(allowedCategory)
+        )
+        if (!matches) {
+          errors.push({
+            file: resource._filePath,
+            ...locate(instance || resource, field, item.trim()),
+            type: 'link-category-mismatch',
+            message: `Parameter "${param}" links to "${item}" (category "${targets.map(t => t.category).join('", "')}") but property "${propertyId}" only allows category "${allowedCategory}" or its descendants`
+          })
+        }
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
+
 /**
  * Validate media references in resources.
  *
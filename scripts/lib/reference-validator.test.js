@@ -1,7 +1,7 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { validateReferences, validateMediaReferences, REFERENCE_FIELDS } from './reference-validator.js'
-import { createMockEntityIndex, createDependencyChainIndex, createReferenceTestIndex } from '../__fixtures__/mock-entity-index.js'
+import { validateReferences, validateMediaReferences, validateResourceLinks, REFERENCE_FIELDS } from './reference-validator.js'
+import { createMockEntityIndex, createDependencyChainIndex, createReferenceTestIndex, createResourceLinkIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('validateReferences', () => {
   describe('Missing reference detection', () => {
@@ -103,6 +103,26 @@ describe('validateReferences', () => {
       assert.ok(result.errors[0].message.includes('NonExistentCategory'))
     })
 
+    test('property with missing Allows_value_from_category returns error', () => {
+      const index = createMockEntityIndex({
+        properties: new Map([
+          ['Has_access_point', {
+            id: 'Has_access_point',
+            datatype: 'Page',
+            Allows_value_from_category: 'Access_point',
+            _filePath: 'properties/Has_access_point.wikitext'
+          }]
+        ]),
+      })
+
+      const result = validateReferences(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'missing-reference')
+      assert.ok(result.errors[0].message.includes('Allows_value_from_category'))
+      assert.ok(result.errors[0].message.includes('Access_point'))
+    })
+
     test('bundle with missing module returns error', () => {
       const index = createMockEntityIndex({
         bundles: new Map([
@@ -319,12 +339,66 @@ describe('REFERENCE_FIELDS', () => {
   test('properties has expected reference fields', () => {
     assert.strictEqual(REFERENCE_FIELDS.properties.parent_property, 'properties')
     assert.strictEqual(REFERENCE_FIELDS.properties.has_display_template, 'templates')
+    assert.strictEqual(REFERENCE_FIELDS.properties.Allows_value_from_category, 'categories')
   })
 
-  test('modules only references categories and dashboards', () => {
+  test('modules references categories, dashboards and dependencies', () => {
     assert.strictEqual(REFERENCE_FIELDS.modules.categories, 'categories')
     assert.strictEqual(REFERENCE_FIELDS.modules.dashboards, 'dashboards')
-    assert.strictEqual(Object.keys(REFERENCE_FIELDS.modules).length, 2)
+    assert.strictEqual(REFERENCE_FIELDS.modules.dependencies, 'modules')
+    assert.strictEqual(Object.keys(REFERENCE_FIELDS.modules).length, 3)
+  })
+})
+
+describe('validateResourceLinks', () => {
+  test('link to resource of the allowed category passes', () => {
+    const result = validateResourceLinks(createResourceLinkIndex('Soldering'))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('link to resource of a descendant category passes', () => {
+    const result = validateResourceLinks(createResourceLinkIndex(['Soldering', 'Calcium imaging']))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('link to resource of another category returns error', () => {
+    const result = validateResourceLinks(createResourceLinkIndex('GCaMP'))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'link-category-mismatch')
+    assert.strictEqual(result.errors[0].file, 'resources/SOP/Iron_safety.wikitext')
+    assert.ok(result.errors[0].message.includes('"Glossary"'))
+    assert.ok(result.errors[0].message.includes('"Technique"'))
+  })
+
+  test('unresolved link returns warning by default', () => {
+    const result = validateResourceLinks(createResourceLinkIndex('Reflow soldering'))
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'unresolved-link')
+    assert.ok(result.warnings[0].message.includes('Reflow soldering'))
+  })
+
+  test('unresolved link can be reported as error or ignored', () => {
+    const asError = validateResourceLinks(createResourceLinkIndex('Reflow soldering'), { unresolvedLinks: 'error' })
+    const ignored = validateResourceLinks(createResourceLinkIndex('Reflow soldering'), { unresolvedLinks: 'ignore' })
+
+    assert.strictEqual(asError.errors.length, 1)
+    assert.strictEqual(asError.errors[0].type, 'unresolved-link')
+    assert.strictEqual(ignored.errors.length, 0)
+    assert.strictEqual(ignored.warnings.length, 0)
+  })
+
+  test('rejects unknown unresolvedLinks level', () => {
+    assert.throws(
+      () => validateResourceLinks(createResourceLinkIndex('Soldering'), { unresolvedLinks: 'fatal' }),
+      /Invalid unresolvedLinks level/
+    )
   })
 })
 
@@ -0,0 +1,246 @@
+/**
+ * Resource validator
+ *
+ * Checks resource pages against the effective schema of their category:
+ * every parameter must be an allowed property of the category (or one of
+ * its ancestors), and required properties should be filled in. Subobject
+ * instances are checked the same way against their subobject, which must
+ * be one the category allows.
+ */
+
+import { resolveCategorySchema } from './schema-resolver.js'
+import { toPageName, locate, buildParamLookup, RESOURCE_METADATA_KEYS } from './wikitext-parser.js'
+import { suggestClosest, formatSuggestion } from './suggest.js'
+
+/**
+ * List the property values set on a resource and its subobject instances
+ *
+ * The resource description is reported as the "Has_description" property
+ * since it is written as the has_description parameter.
+ *
+ * @param {object} resource - Parsed resource from the entity index
+ * @param {Map<string, object>} properties - Property map from the entity index
+ * @returns {Array<{param: string, field: string, propertyId: string|null, matches: string[], value: string|string[], instance: object|null}>}
+ *   One entry per parameter (field is the field it populates, for locate);
+ *   propertyId is null unless exactly one property matches the param
+ *   case-insensitively, and matches lists every property that does.
+ *   instance is the subobject instance holding the parameter, or null for
+ *   the resource's own parameters; locate on `instance || resource`
+ */
+export function getResourcePropertyEntries(resource, properties) {
+  const lookup = buildParamLookup(properties)
+  const entries = []
+
+  const addEntry = (param, field, value, instance = null) => {
+    const matches = lookup.get(param) || []
+    entries.push({ param, field, propertyId: matches.length === 1 ? matches[0] : null, matches, value, instance })
+  }
+
+  if (resource.description) {
+    addEntry('has_description', 'description', resource.description)
+  }
+
+  for (const [key, value] of Object.entries(resource)) {
+    if (RESOURCE_METADATA_KEYS.has(key) || key.startsWith('_')) continue
+    addEntry(key.toLowerCase(), key, value)
+  }
+
+  for (const instance of resource.subobjects || []) {
+    for (const [field, value] of Object.entries(instance.values)) {
+      addEntry(field.toLowerCase(), field, value, instance)
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Check whether a resource value counts as filled in
+ *
+ * @param {string|string[]} value - Resource value
+ * @returns {boolean} True if the value is non-empty
+ */
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0
+  return value !== undefined && value !== null && String(value).trim() !== ''
+}
+
+/**
+ * Check parameters against the properties allowed where they are set
+ *
+ * @param {Array<object>} entries - Entries from getResourcePropertyEntries
+ * @param {Set<string>} allowed - Allowed property IDs
+ * @param {Object} context
+ * @param {string} context.file - File to report
+ * @param {object} context.entity - Resource or subobject instance, for locate
+ * @param {string} context.type - Error type for a parameter that is not allowed
+ * @param {string} context.owner - Where allowed properties come from, for messages
+ * @returns {{errors: Array, provided: Set<string>}} Errors, and the allowed
+ *   properties that have a value
+ */
+function checkPropertyParams(entries, allowed, { file, entity, type, owner }) {
+  const errors = []
+  const provided = new Set()
+  const allowedParams = [...allowed].map(propertyId => propertyId.toLowerCase())
+
+  for (const { param, field, propertyId, matches, value } of entries) {
+    if (matches.length > 1) {
+      errors.push({
+        file,
+        ...locate(entity, field),
+        type: 'ambiguous-resource-property',
+        message: `Parameter "${param}" matches properties "${matches.join('", "')}", which differ only in case`
+      })
+      continue
+    }
+
+    if (!propertyId || !allowed.has(propertyId)) {
+      errors.push({
+        file,
+        ...locate(entity, field),
+        type,
+        message: `Parameter "${param}" is not a property of ${owner}` +
+          formatSuggestion(suggestClosest(param, allowedParams))
+      })
+      continue
+    }
+
+    if (hasValue(value)) provided.add(propertyId)
+  }
+
+  return { errors, provided }
+}
+
+/**
+ * Validate the subobject instances of a resource
+ *
+ * @param {object} resource - Parsed resource from the entity index
+ * @param {object} schema - Effective schema of its category from resolveCategorySchema
+ * @param {Array<object>} entries - Entries from getResourcePropertyEntries
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+function validateSubobjectInstances(resource, schema, entries, entityIndex) {
+  const errors = []
+  const warnings = []
+  const allowedSubobjects = [...schema.required_subobjects, ...schema.optional_subobjects]
+  const present = new Set()
+
+  for (const instance of resource.subobjects || []) {
+    const suggestion = suggestClosest(instance.id, allowedSubobjects)
+    const subobject = entityIndex.subobjects.get(instance.id)
+
+    if (!subobject || !allowedSubobjects.includes(instance.id)) {
+      errors.push({
+        file: resource._filePath,
+        ...locate(instance, 'id'),
+        type: subobject ? 'disallowed-resource-subobject' : 'missing-reference',
+        message: (subobject
+          ? `Subobject "${toPageName(instance.id)}" is not a subobject of category "${resource.category}" or its parents`
+          : `Subobject "${toPageName(instance.id)}" does not exist in subobjects`) +
+          formatSuggestion(suggestion && toPageName(suggestion))
+      })
+      continue
+    }
+    present.add(instance.id)
+
+    const allowed = new Set([...(subobject.required_properties || []), ...(subobject.optional_properties || [])])
+    const result = checkPropertyParams(entries.filter(entry => entry.instance === instance), allowed, {
+      file: resource._filePath,
+      entity: instance,
+      type: 'disallowed-subobject-property',
+      owner: `subobject "${toPageName(instance.id)}"`
+    })
+    errors.push(...result.errors)
+
+    for (const propertyId of subobject.required_properties || []) {
+      if (!result.provided.has(propertyId)) {
+        warnings.push({
+          file: resource._filePath,
+          ...locate(instance, 'id'),
+          type: 'missing-required-property',
+          message: `Subobject "${toPageName(instance.id)}" in resource "${resource.id}" is missing required property "${toPageName(propertyId)}"`
+        })
+      }
+    }
+  }
+
+  for (const subobjectId of schema.required_subobjects) {
+    if (!present.has(subobjectId)) {
+      warnings.push({
+        file: resource._filePath,
+        type: 'missing-required-subobject',
+        message: `Resource "${resource.id}" has no instance of required subobject "${toPageName(subobjectId)}" of category "${resource.category}"`
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate resources against their category's effective schema
+ *
+ * Checks:
+ * - Resource declares a category that exists
+ * - Every parameter names exactly one property (case-insensitively)
+ * - Every parameter is an allowed (required or optional) property of the category
+ * - Every subobject instance is a subobject of the category, and its
+ *   parameters are properties of the subobject
+ * - Required properties and subobjects are present (warning: resources are
+ *   curated content, and SemanticSchemas still imports pages with gaps)
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ */
+export function validateResources(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  for (const [resourceId, resource] of entityIndex.resources) {
+    if (!resource.category) {
+      errors.push({
+        file: resource._filePath,
+        type: 'missing-resource-category',
+        message: `Resource "${resourceId}" has no [[Category:...]] identifying its category`
+      })
+      continue
+    }
+
+    const schema = resolveCategorySchema(resource.category, entityIndex.categories)
+    if (!schema) {
+      errors.push({
+        file: resource._filePath,
+        type: 'missing-reference',
+        message: `Resource category "${resource.category}" does not exist in categories`
+      })
+      continue
+    }
+
+    const entries = getResourcePropertyEntries(resource, entityIndex.properties)
+    const allowed = new Set([...schema.required_properties, ...schema.optional_properties])
+    const { errors: paramErrors, provided } = checkPropertyParams(entries.filter(entry => !entry.instance), allowed, {
+      file: resource._filePath,
+      entity: resource,
+      type: 'disallowed-resource-property',
+      owner: `category "${resource.category}" or its parents`
+    })
+    errors.push(...paramErrors)
+
+    for (const propertyId of schema.required_properties) {
+      if (!provided.has(propertyId)) {
+        warnings.push({
+          file: resource._filePath,
+          type: 'missing-required-property',
+          message: `Resource "${resourceId}" is missing required property "${toPageName(propertyId)}" of category "${resource.category}"`
+        })
+      }
+    }
+
+    const instances = validateSubobjectInstances(resource, schema, entries, entityIndex)
+    errors.push(...instances.errors)
+    warnings.push(...instances.warnings)
+  }
+
+  return { errors, warnings }
+}
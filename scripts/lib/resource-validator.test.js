@@ -0,0 +1,256 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateResources, getResourcePropertyEntries } from './resource-validator.js'
+import { parseResource } from './wikitext-parser.js'
+import { createMockEntityIndex, createResourceSchemaIndex, createSubobjectInstanceIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('validateResources', () => {
+  test('resource with all required properties passes', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      description: 'Soldering safety',
+      Has_document_type: 'SOP',
+      Has_purpose: 'Safe soldering',
+      Has_sop_type: 'Safety',
+      Has_technique: ['Soldering', 'SMD assembly']
+    }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('resource in a multi-word category is checked against that category', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Safety SOP
+|has_document_type=SOP
+|has_purpose=Safe soldering
+|has_sop_type=Safety
+}}
+<!-- OntologySync End -->
+[[Category:Safety SOP]]`
+    const index = createResourceSchemaIndex([])
+    index.categories.set('Safety_SOP', { id: 'Safety_SOP', parents: ['SOP'] })
+    index.resources.set('Safety_SOP/Soldering', {
+      ...parseResource(wikitext, 'Safety_SOP/Soldering', index.properties),
+      _filePath: 'resources/Safety_SOP/Soldering.wikitext'
+    })
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('missing required properties are reported including inherited ones', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      Has_technique: 'Soldering'
+    }])
+
+    const result = validateResources(index)
+
+    const missing = result.warnings.filter(w => w.type === 'missing-required-property')
+    assert.strictEqual(missing.length, 3)
+    assert.ok(missing.some(w => w.message.includes('Has purpose')))
+    assert.ok(missing.some(w => w.message.includes('Has SOP type')))
+    assert.ok(missing.some(w => w.message.includes('Has document type')))
+  })
+
+  test('empty value does not satisfy a required property', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      Has_document_type: 'SOP',
+      Has_purpose: '',
+      Has_sop_type: 'Safety'
+    }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.warnings.length, 1)
+    assert.ok(result.warnings[0].message.includes('Has purpose'))
+  })
+
+  test('parameter that is not a property of the category returns error', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      Has_document_type: 'SOP',
+      Has_purpose: 'Safe soldering',
+      Has_sop_type: 'Safety',
+      Has_name: 'Soldering'
+    }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'disallowed-resource-property')
+    assert.ok(result.errors[0].message.includes('has_name'))
+    assert.strictEqual(result.errors[0].file, 'resources/SOP/Soldering.wikitext')
+  })
+
+  test('parameter matching properties that differ only in case returns error', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      Has_document_type: 'SOP',
+      Has_purpose: 'Safe soldering',
+      Has_SOP_type: 'Safety'
+    }])
+    index.properties.set('Has_Sop_Type', { id: 'Has_Sop_Type', datatype: 'Text' })
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'ambiguous-resource-property')
+    assert.ok(result.errors[0].message.includes('"Has_SOP_type", "Has_Sop_Type"'))
+  })
+
+  test('parameter matching no property returns error', () => {
+    const index = createResourceSchemaIndex([{
+      id: 'SOP/Soldering',
+      category: 'SOP',
+      Has_document_type: 'SOP',
+      Has_purpose: 'Safe soldering',
+      Has_sop_type: 'Safety',
+      Has_purpsoe: 'typo'
+    }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('has_purpsoe'))
+    assert.ok(result.errors[0].message.includes('did you mean "has_purpose"?'))
+  })
+
+  test('resource without category returns error', () => {
+    const index = createResourceSchemaIndex([{ id: 'Loose/Page', category: '' }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'missing-resource-category')
+  })
+
+  test('resource with unknown category returns error', () => {
+    const index = createResourceSchemaIndex([{ id: 'Recipe/Bread', category: 'Recipe' }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'missing-reference')
+    assert.ok(result.errors[0].message.includes('Recipe'))
+  })
+
+  test('empty entity index returns no errors', () => {
+    const result = validateResources(createMockEntityIndex())
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 0)
+  })
+})
+
+describe('getResourcePropertyEntries', () => {
+  test('resolves parameter names case-insensitively and skips metadata', () => {
+    const index = createResourceSchemaIndex([])
+    const resource = {
+      id: 'SOP/Soldering',
+      label: 'Soldering',
+      category: 'SOP',
+      description: 'Soldering safety',
+      Has_sop_type: 'Safety',
+      _filePath: 'resources/SOP/Soldering.wikitext',
+      _mediaRefs: ['diagram.png']
+    }
+
+    const entries = getResourcePropertyEntries(resource, index.properties)
+
+    assert.deepStrictEqual(entries, [
+      { param: 'has_description', field: 'description', propertyId: 'Has_description', matches: ['Has_description'], value: 'Soldering safety', instance: null },
+      { param: 'has_sop_type', field: 'Has_sop_type', propertyId: 'Has_SOP_type', matches: ['Has_SOP_type'], value: 'Safety', instance: null }
+    ])
+  })
+
+  test('leaves propertyId null when several properties match', () => {
+    const index = createResourceSchemaIndex([])
+    index.properties.set('Has_sop_type', { id: 'Has_sop_type', datatype: 'Text' })
+
+    const [entry] = getResourcePropertyEntries({ id: 'SOP/Soldering', Has_SOP_type: 'Safety' }, index.properties)
+
+    assert.strictEqual(entry.propertyId, null)
+    assert.deepStrictEqual(entry.matches, ['Has_SOP_type', 'Has_sop_type'])
+  })
+
+  test('lists subobject instance values after the resource values', () => {
+    const index = createResourceSchemaIndex([])
+    const instance = { id: 'Has_step', values: { Has_name: 'Tin the tip' } }
+
+    const entries = getResourcePropertyEntries({ id: 'SOP/Soldering', Has_purpose: 'Safe soldering', subobjects: [instance] }, index.properties)
+
+    assert.deepStrictEqual(entries.map(entry => [entry.propertyId, entry.instance]), [['Has_purpose', null], ['Has_name', instance]])
+  })
+})
+
+describe('validateResources subobject instances', () => {
+  test('instances with their required properties pass', () => {
+    const index = createSubobjectInstanceIndex([
+      { id: 'Has_maintenance_record', values: { Has_date: '2024-03-01', Has_notes: 'Cleaned' } },
+      { id: 'Has_access_record', values: { Has_name: 'Jane' } }
+    ])
+
+    const result = validateResources(index)
+
+    assert.deepStrictEqual(result, { errors: [], warnings: [] })
+  })
+
+  test('parameters that are not properties of the subobject are errors at their position', () => {
+    const index = createSubobjectInstanceIndex([{
+      id: 'Has_maintenance_record',
+      values: { Has_date: '2024-03-01', Has_note: 'Cleaned' },
+      _positions: { id: { line: 9, column: 1 }, Has_note: { line: 11, column: 2, items: [] } }
+    }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'disallowed-subobject-property')
+    assert.strictEqual(result.errors[0].line, 11)
+    assert.match(result.errors[0].message, /not a property of subobject "Has maintenance record" \(did you mean "has_notes"\?\)/)
+  })
+
+  test('missing required properties of an instance are warnings', () => {
+    const index = createSubobjectInstanceIndex([{ id: 'Has_maintenance_record', values: { Has_notes: 'Cleaned' } }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.match(result.warnings[0].message, /Subobject "Has maintenance record" .* missing required property "Has date"/)
+  })
+
+  test('required subobjects without an instance are warnings', () => {
+    const index = createSubobjectInstanceIndex([{ id: 'Has_access_record', values: { Has_name: 'Jane' } }])
+
+    const result = validateResources(index)
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.deepStrictEqual(result.warnings.map(w => w.type), ['missing-required-subobject'])
+  })
+
+  test('subobjects the category does not allow, or that do not exist, are errors', () => {
+    const index = createSubobjectInstanceIndex([
+      { id: 'Has_maintenance_record', values: { Has_date: '2024-03-01' } },
+      { id: 'Has_faq_item', values: { Has_name: 'Why?' } },
+      { id: 'Has_maintenance_recrd', values: {} }
+    ])
+
+    const result = validateResources(index)
+
+    assert.deepStrictEqual(result.errors.map(e => e.type), ['disallowed-resource-subobject', 'missing-reference'])
+    assert.match(result.errors[1].message, /did you mean "Has maintenance record"/)
+  })
+})
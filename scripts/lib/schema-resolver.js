@@ -0,0 +1,155 @@
+/**
+ * Schema resolver for category inheritance
+ *
+ * Computes the effective (inherited) schema of a category by walking its
+ * parents. Required status wins over optional when a property or subobject
+ * is declared both ways somewhere in the hierarchy.
+ *
+ * resolveEffectiveSchema also reports provenance: which category each
+ * effective member comes from and every category that declares it.
+ */
+
+/**
+ * Get all ancestors of a category in breadth-first order (excluding itself)
+ *
+ * Unknown parents are skipped and cycles are tolerated (each ancestor is
+ * visited once), so this is safe to call before cycle detection has run.
+ *
+ * @param {string} categoryId - Category to start from
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {string[]} Ancestor category IDs, nearest first
+ */
+export function getCategoryAncestors(categoryId, categories) {
+  const ancestors = []
+  const visited = new Set([categoryId])
+  const queue = [...(categories.get(categoryId)?.parents || [])]
+
+  while (queue.length > 0) {
+    const parentId = queue.shift()
+    if (visited.has(parentId)) continue
+    visited.add(parentId)
+
+    const parent = categories.get(parentId)
+    if (!parent) continue
+
+    ancestors.push(parentId)
+    queue.push(...(parent.parents || []))
+  }
+
+  return ancestors
+}
+
+/**
+ * Get a category and its ancestors in resolution order
+ *
+ * The category itself comes first, then its ancestors breadth-first in
+ * parent declaration order. A shared ancestor (diamond) appears once, at
+ * its nearest position, so the order is deterministic for any hierarchy.
+ *
+ * @param {string} categoryId - Category to start from
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {string[]} Category IDs, starting with categoryId
+ */
+export function getResolutionOrder(categoryId, categories) {
+  return [categoryId, ...getCategoryAncestors(categoryId, categories)]
+}
+
+/**
+ * Merge one member type (properties or subobjects) across a resolution order
+ *
+ * @param {string[]} order - Category IDs from getResolutionOrder
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @param {string} kind - "properties" or "subobjects"
+ * @returns {Array<{id: string, required: boolean, source: string, inherited: boolean, declarations: Array<{category: string, required: boolean}>}>}
+ *   Effective members in order of first declaration
+ */
+function mergeMembers(order, categories, kind) {
+  const members = new Map()
+
+  for (const categoryId of order) {
+    const category = categories.get(categoryId)
+    for (const required of [true, false]) {
+      for (const id of category[`${required ? 'required' : 'optional'}_${kind}`] || []) {
+        if (!members.has(id)) members.set(id, { id, declarations: [] })
+        members.get(id).declarations.push({ category: categoryId, required })
+      }
+    }
+  }
+
+  return [...members.values()].map(({ id, declarations }) => {
+    // Required wins over optional; among declarations with the winning
+    // status, the nearest category in resolution order is the source
+    const required = declarations.some(d => d.required)
+    const source = declarations.find(d => d.required === required).category
+    return { id, required, source, inherited: source !== order[0], declarations }
+  })
+}
+
+/**
+ * Resolve the effective schema of a category with provenance
+ *
+ * Every effective property and subobject records which category it comes
+ * from (source) and every category in the hierarchy that declares it
+ * (declarations, in resolution order). Required status wins over optional
+ * wherever it is declared.
+ *
+ * @param {string} categoryId - Category to resolve
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {{id: string, ancestors: string[], properties: Array<object>, subobjects: Array<object>}|null}
+ *   Effective schema, or null if the category does not exist
+ *
+ * @example
+ * resolveEffectiveSchema('Researcher', categories).properties
+ * // => [{ id: 'Has_name', required: true, source: 'Agent', inherited: true,
+ * //       declarations: [{ category: 'Agent', required: true }] }, ...]
+ */
+export function resolveEffectiveSchema(categoryId, categories) {
+  if (!categories.has(categoryId)) return null
+
+  const order = getResolutionOrder(categoryId, categories)
+
+  return {
+    id: categoryId,
+    ancestors: order.slice(1),
+    properties: mergeMembers(order, categories, 'properties'),
+    subobjects: mergeMembers(order, categories, 'subobjects')
+  }
+}
+
+/**
+ * Resolve the effective schema with provenance of every category
+ *
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {Map<string, object>} Category ID -> result of resolveEffectiveSchema
+ */
+export function resolveAllEffectiveSchemas(categories) {
+  const schemas = new Map()
+  for (const [categoryId] of categories) {
+    schemas.set(categoryId, resolveEffectiveSchema(categoryId, categories))
+  }
+  return schemas
+}
+
+/**
+ * Resolve the effective schema of a category including inherited members
+ *
+ * Flat view of resolveEffectiveSchema without provenance.
+ *
+ * @param {string} categoryId - Category to resolve
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {{required_properties: string[], optional_properties: string[], required_subobjects: string[], optional_subobjects: string[]}|null}
+ *   Effective schema, or null if the category does not exist
+ */
+export function resolveCategorySchema(categoryId, categories) {
+  const schema = resolveEffectiveSchema(categoryId, categories)
+  if (!schema) return null
+
+  const ids = (members, required) => members.filter(m => m.required === required).map(m => m.id)
+
+  return {
+    required_properties: ids(schema.properties, true),
+    optional_properties: ids(schema.properties, false),
+    required_subobjects: ids(schema.subobjects, true),
+    optional_subobjects: ids(schema.subobjects, false),
+  }
+}
@@ -0,0 +1,153 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { getCategoryAncestors, resolveCategorySchema, resolveEffectiveSchema, resolveAllEffectiveSchemas } from './schema-resolver.js'
+
+describe('getCategoryAncestors', () => {
+  test('returns ancestors nearest first', () => {
+    const categories = new Map([
+      ['Agent', { id: 'Agent' }],
+      ['Person', { id: 'Person', parents: ['Agent'] }],
+      ['Researcher', { id: 'Researcher', parents: ['Person'] }]
+    ])
+
+    assert.deepStrictEqual(getCategoryAncestors('Researcher', categories), ['Person', 'Agent'])
+  })
+
+  test('visits shared ancestors once', () => {
+    const categories = new Map([
+      ['Root', { id: 'Root' }],
+      ['Left', { id: 'Left', parents: ['Root'] }],
+      ['Right', { id: 'Right', parents: ['Root'] }],
+      ['Child', { id: 'Child', parents: ['Left', 'Right'] }]
+    ])
+
+    assert.deepStrictEqual(getCategoryAncestors('Child', categories), ['Left', 'Right', 'Root'])
+  })
+
+  test('skips unknown parents and tolerates cycles', () => {
+    const categories = new Map([
+      ['A', { id: 'A', parents: ['B', 'Missing'] }],
+      ['B', { id: 'B', parents: ['A'] }]
+    ])
+
+    assert.deepStrictEqual(getCategoryAncestors('A', categories), ['B'])
+  })
+})
+
+describe('resolveCategorySchema', () => {
+  test('merges properties and subobjects from parents', () => {
+    const categories = new Map([
+      ['Document', {
+        id: 'Document',
+        required_properties: ['Has_document_date'],
+        optional_properties: ['Has_author']
+      }],
+      ['SOP', {
+        id: 'SOP',
+        parents: ['Document'],
+        required_properties: ['Has_purpose'],
+        optional_properties: ['Has_technique'],
+        optional_subobjects: ['Has_training_record']
+      }]
+    ])
+
+    const schema = resolveCategorySchema('SOP', categories)
+
+    assert.deepStrictEqual(schema.required_properties, ['Has_purpose', 'Has_document_date'])
+    assert.deepStrictEqual(schema.optional_properties, ['Has_technique', 'Has_author'])
+    assert.deepStrictEqual(schema.required_subobjects, [])
+    assert.deepStrictEqual(schema.optional_subobjects, ['Has_training_record'])
+  })
+
+  test('required status wins over optional', () => {
+    const categories = new Map([
+      ['Parent', { id: 'Parent', required_properties: ['Has_name'] }],
+      ['Child', { id: 'Child', parents: ['Parent'], optional_properties: ['Has_name'] }]
+    ])
+
+    const schema = resolveCategorySchema('Child', categories)
+
+    assert.deepStrictEqual(schema.required_properties, ['Has_name'])
+    assert.deepStrictEqual(schema.optional_properties, [])
+  })
+
+  test('returns null for unknown category', () => {
+    assert.strictEqual(resolveCategorySchema('Missing', new Map()), null)
+  })
+})
+
+/**
+ * Diamond: Child inherits Root through both Left and Right
+ */
+function createDiamond() {
+  return new Map([
+    ['Root', { id: 'Root', required_properties: ['Has_name'], optional_subobjects: ['Has_address'] }],
+    ['Left', { id: 'Left', parents: ['Root'], optional_properties: ['Has_email', 'Has_name'] }],
+    ['Right', { id: 'Right', parents: ['Root'], required_properties: ['Has_email'] }],
+    ['Child', { id: 'Child', parents: ['Left', 'Right'], optional_properties: ['Has_advisor'] }]
+  ])
+}
+
+describe('resolveEffectiveSchema', () => {
+  test('records source and declarations of each member', () => {
+    const schema = resolveEffectiveSchema('Child', createDiamond())
+
+    assert.deepStrictEqual(schema.ancestors, ['Left', 'Right', 'Root'])
+    assert.deepStrictEqual(schema.properties.map(p => [p.id, p.required, p.source, p.inherited]), [
+      ['Has_advisor', false, 'Child', false],
+      ['Has_email', true, 'Right', true],
+      ['Has_name', true, 'Root', true]
+    ])
+    assert.deepStrictEqual(schema.properties[1].declarations, [
+      { category: 'Left', required: false },
+      { category: 'Right', required: true }
+    ])
+    assert.deepStrictEqual(schema.subobjects, [{
+      id: 'Has_address',
+      required: false,
+      source: 'Root',
+      inherited: true,
+      declarations: [{ category: 'Root', required: false }]
+    }])
+  })
+
+  test('diamond ancestors contribute once regardless of path', () => {
+    const schema = resolveEffectiveSchema('Child', createDiamond())
+    const name = schema.properties.find(p => p.id === 'Has_name')
+
+    assert.deepStrictEqual(name.declarations, [
+      { category: 'Left', required: false },
+      { category: 'Root', required: true }
+    ])
+  })
+
+  test('nearest declaration is the source when status agrees', () => {
+    const categories = createDiamond()
+    categories.get('Child').required_properties = ['Has_name']
+
+    const name = resolveEffectiveSchema('Child', categories).properties.find(p => p.id === 'Has_name')
+
+    assert.strictEqual(name.source, 'Child')
+    assert.strictEqual(name.inherited, false)
+  })
+
+  test('parent order decides the resolution order', () => {
+    const categories = createDiamond()
+    categories.get('Child').parents = ['Right', 'Left']
+
+    assert.deepStrictEqual(resolveEffectiveSchema('Child', categories).ancestors, ['Right', 'Left', 'Root'])
+  })
+
+  test('returns null for unknown category', () => {
+    assert.strictEqual(resolveEffectiveSchema('Missing', new Map()), null)
+  })
+})
+
+describe('resolveAllEffectiveSchemas', () => {
+  test('resolves every category', () => {
+    const schemas = resolveAllEffectiveSchemas(createDiamond())
+
+    assert.deepStrictEqual([...schemas.keys()], ['Root', 'Left', 'Right', 'Child'])
+    assert.strictEqual(schemas.get('Left').properties.find(p => p.id === 'Has_name').source, 'Root')
+  })
+})
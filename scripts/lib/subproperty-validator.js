@@ -0,0 +1,106 @@
+/**
+ * Subproperty validator
+ *
+ * SMW treats every value of a subproperty as a value of its parent, so a
+ * subproperty must not accept anything its parent would reject. Each
+ * property with a parent_property is checked against its direct parent;
+ * chains are covered pairwise. Missing parents and cycles are reported by
+ * the reference validator and cycle detector.
+ */
+
+import { getCategoryAncestors } from './schema-resolver.js'
+import { toPageName, locate } from './wikitext-parser.js'
+
+/**
+ * Check that a subproperty's allowed values narrow its parent's
+ *
+ * @param {object} property - Subproperty entity
+ * @param {object} parent - Parent property entity
+ * @returns {string|null} Problem description, or null if compatible
+ */
+function checkAllowedValues(property, parent) {
+  if (!parent.allowed_values?.length) return null
+  if (!property.allowed_values?.length) {
+    return `accepts any value but parent "${toPageName(parent.id)}" only allows: ${parent.allowed_values.join(', ')}`
+  }
+
+  const parentValues = new Set(parent.allowed_values)
+  const extra = property.allowed_values.filter(value => !parentValues.has(value))
+  if (extra.length === 0) return null
+  return `allows value(s) ${extra.map(v => `"${v}"`).join(', ')} not allowed by parent "${toPageName(parent.id)}"`
+}
+
+/**
+ * Check that a subproperty's value category is the parent's or a descendant
+ *
+ * @param {object} property - Subproperty entity
+ * @param {object} parent - Parent property entity
+ * @param {Map<string, object>} categories - Category map from the entity index
+ * @returns {string|null} Problem description, or null if compatible
+ */
+function checkValueCategory(property, parent, categories) {
+  const parentCategory = parent.Allows_value_from_category
+  if (!parentCategory) return null
+
+  const category = property.Allows_value_from_category
+  if (!category) {
+    return `accepts pages of any category but parent "${toPageName(parent.id)}" only allows Category:${toPageName(parentCategory)}`
+  }
+  if (category === parentCategory || getCategoryAncestors(category, categories).includes(parentCategory)) {
+    return null
+  }
+  return `allows values from Category:${toPageName(category)}, which is not Category:${toPageName(parentCategory)} (allowed by parent "${toPageName(parent.id)}") or a descendant of it`
+}
+
+/**
+ * Validate subproperties against their parent properties
+ *
+ * Checks:
+ * - Datatype matches the parent's datatype
+ * - allowed_values is a subset of the parent's allowed_values
+ * - Allows_value_from_category is the parent's category or a descendant
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateSubproperties(entityIndex) {
+  const errors = []
+
+  for (const [propertyId, property] of entityIndex.properties) {
+    const parent = entityIndex.properties.get(property.parent_property)
+    if (!parent || property.parent_property === propertyId) continue
+
+    const subject = `Subproperty "${toPageName(propertyId)}"`
+
+    if (property.datatype && parent.datatype && property.datatype !== parent.datatype) {
+      errors.push({
+        file: property._filePath,
+        ...locate(property, 'datatype'),
+        type: 'subproperty-datatype-mismatch',
+        message: `${subject} has datatype ${property.datatype} but parent "${toPageName(parent.id)}" has datatype ${parent.datatype}`
+      })
+    }
+
+    const allowedValuesProblem = checkAllowedValues(property, parent)
+    if (allowedValuesProblem) {
+      errors.push({
+        file: property._filePath,
+        ...locate(property, 'allowed_values'),
+        type: 'subproperty-allowed-values',
+        message: `${subject} ${allowedValuesProblem}`
+      })
+    }
+
+    const categoryProblem = checkValueCategory(property, parent, entityIndex.categories)
+    if (categoryProblem) {
+      errors.push({
+        file: property._filePath,
+        ...locate(property, 'Allows_value_from_category'),
+        type: 'subproperty-category-mismatch',
+        message: `${subject} ${categoryProblem}`
+      })
+    }
+  }
+
+  return { errors }
+}
@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateSubproperties } from './subproperty-validator.js'
+import { createSubpropertyIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('validateSubproperties', () => {
+  test('compatible subproperty returns no errors', () => {
+    const index = createSubpropertyIndex(
+      { datatype: 'Page', Allows_value_from_category: 'Agent' },
+      { datatype: 'Page', Allows_value_from_category: 'Person' }
+    )
+
+    const result = validateSubproperties(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('datatype mismatch returns error', () => {
+    const index = createSubpropertyIndex({ datatype: 'Text' }, { datatype: 'Email' })
+
+    const result = validateSubproperties(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'subproperty-datatype-mismatch')
+    assert.strictEqual(result.errors[0].file, 'properties/Has_child.wikitext')
+    assert.ok(result.errors[0].message.includes('datatype Email'))
+  })
+
+  test('allowed values outside the parent returns error', () => {
+    const index = createSubpropertyIndex(
+      { allowed_values: ['Draft', 'Published'] },
+      { allowed_values: ['Draft', 'Retired'] }
+    )
+
+    const result = validateSubproperties(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'subproperty-allowed-values')
+    assert.ok(result.errors[0].message.includes('"Retired"'))
+  })
+
+  test('unrestricted subproperty of an enumerated parent returns error', () => {
+    const index = createSubpropertyIndex({ allowed_values: ['Draft'] }, {})
+
+    const result = validateSubproperties(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'subproperty-allowed-values')
+  })
+
+  test('subset of allowed values passes', () => {
+    const index = createSubpropertyIndex({ allowed_values: ['Draft', 'Published'] }, { allowed_values: ['Published'] })
+
+    assert.strictEqual(validateSubproperties(index).errors.length, 0)
+  })
+
+  test('unrelated or ancestor value category returns error', () => {
+    const unrelated = createSubpropertyIndex(
+      { datatype: 'Page', Allows_value_from_category: 'Person' },
+      { datatype: 'Page', Allows_value_from_category: 'Equipment' }
+    )
+    const broader = createSubpropertyIndex(
+      { datatype: 'Page', Allows_value_from_category: 'Person' },
+      { datatype: 'Page', Allows_value_from_category: 'Agent' }
+    )
+
+    for (const index of [unrelated, broader]) {
+      const result = validateSubproperties(index)
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'subproperty-category-mismatch')
+    }
+  })
+
+  test('missing value category on subproperty returns error', () => {
+    const index = createSubpropertyIndex(
+      { datatype: 'Page', Allows_value_from_category: 'Person' },
+      { datatype: 'Page' }
+    )
+
+    const result = validateSubproperties(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('any category'))
+  })
+
+  test('unknown parent is skipped', () => {
+    const index = createSubpropertyIndex({}, { parent_property: 'Has_missing', datatype: 'Number' })
+
+    assert.strictEqual(validateSubproperties(index).errors.length, 0)
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * "Did you mean" suggestions for misspelled names
+ *
+ * Names are compared case-insensitively, with spaces and underscores
+ * treated alike, so "Has optinal property" still matches
+ * "has_optional_property".
+ */
+
+/**
+ * Normalize a name for comparison
+ * @param {string} name
+ * @returns {string} Lowercased name with spaces as underscores
+ */
+function normalize(name) {
+  return name.toLowerCase().replace(/ /g, '_')
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of single-character insertions,
+ *   deletions and substitutions turning a into b
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Find the candidate closest to a misspelled name
+ *
+ * A candidate qualifies when it is within a third of the name's length
+ * (at least 1, at most 3 edits) after normalization, so short names only
+ * match near-identical candidates. Ties go to the first candidate.
+ *
+ * @param {string} name - Name as written
+ * @param {Iterable<string>} candidates - Valid names
+ * @returns {string|null} Closest candidate as given, or null if none is close
+ *
+ * @example
+ * suggestClosest('has_optinal_property', ['has_optional_property', 'has_parent_category'])
+ * // 'has_optional_property'
+ */
+export function suggestClosest(name, candidates) {
+  const target = normalize(name)
+  const maxDistance = Math.min(3, Math.max(1, Math.floor(target.length / 3)))
+
+  let best = null
+  let bestDistance = maxDistance + 1
+  for (const candidate of candidates) {
+    const distance = editDistance(target, normalize(candidate))
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+/**
+ * Format a suggestion as a message suffix
+ * @param {string|null} suggestion - Suggestion from suggestClosest
+ * @returns {string} e.g. ' (did you mean "has_optional_property"?)', or ''
+ */
+export function formatSuggestion(suggestion) {
+  return suggestion ? ` (did you mean "${suggestion}"?)` : ''
+}
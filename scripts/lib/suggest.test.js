@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { editDistance, suggestClosest, formatSuggestion } from './suggest.js'
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    assert.strictEqual(editDistance('kitten', 'sitting'), 3)
+    assert.strictEqual(editDistance('', 'abc'), 3)
+    assert.strictEqual(editDistance('same', 'same'), 0)
+  })
+})
+
+describe('suggestClosest', () => {
+  const params = ['has_optional_property', 'has_required_property', 'has_parent_category']
+
+  test('returns the closest candidate ignoring case and spaces', () => {
+    assert.strictEqual(suggestClosest('has_optinal_property', params), 'has_optional_property')
+    assert.strictEqual(suggestClosest('Has Parent Category', params), 'has_parent_category')
+  })
+
+  test('returns null when nothing is close enough', () => {
+    assert.strictEqual(suggestClosest('colour', params), null)
+    assert.strictEqual(suggestClosest('ab', ['cd']), null)
+  })
+})
+
+describe('formatSuggestion', () => {
+  test('formats a message suffix, or nothing', () => {
+    assert.strictEqual(formatSuggestion('has_type'), ' (did you mean "has_type"?)')
+    assert.strictEqual(formatSuggestion(null), '')
+  })
+})
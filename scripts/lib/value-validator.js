@@ -0,0 +1,250 @@
+/**
+ * Value validator for resource parameters
+ *
+ * Checks resource values against the datatype of the property they set,
+ * e.g. that a Date property holds an ISO 8601 date, and against the
+ * property's enumerated allowed values.
+ */
+
+import { getResourcePropertyEntries } from './resource-validator.js'
+import { extractAskQueries, resolvePageName } from './ask-query.js'
+import { locate } from './wikitext-parser.js'
+
+/**
+ * Check whether a string is a valid ISO 8601 calendar date
+ * (YYYY, YYYY-MM or YYYY-MM-DD, optionally followed by a time of day)
+ *
+ * @param {string} value - Candidate date
+ * @returns {boolean} True if the date is well-formed and exists
+ */
+function isISODate(value) {
+  const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:\d{2})?)?)?)?$/)
+  if (!match) return false
+
+  const [, year, month, day] = match
+  if (month === undefined) return true
+
+  const monthNum = Number(month)
+  if (monthNum < 1 || monthNum > 12) return false
+  if (day === undefined) return true
+
+  // Day 0 of the next month is the last day of this one
+  const daysInMonth = new Date(Date.UTC(Number(year), monthNum, 0)).getUTCDate()
+  const dayNum = Number(day)
+  return dayNum >= 1 && dayNum <= daysInMonth
+}
+
+/**
+ * Check whether a string is an absolute web URL
+ *
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True if the URL parses with a supported scheme and host
+ */
+function isURL(value) {
+  try {
+    const url = new URL(value)
+    return ['http:', 'https:', 'ftp:'].includes(url.protocol) && url.hostname !== ''
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Value checks by SMW datatype, with a human-readable description of the
+ * expected format. Datatypes not listed here (Page, Text, ...) accept any value.
+ */
+const DATATYPE_CHECKS = {
+  'Date': {
+    expected: 'an ISO 8601 date (YYYY-MM-DD)',
+    test: isISODate
+  },
+  'Number': {
+    expected: 'a number',
+    test: value => /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(value)
+  },
+  'URL': {
+    expected: 'an absolute http(s) or ftp URL',
+    test: isURL
+  },
+  'Email': {
+    expected: 'an email address',
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+  },
+  'Telephone number': {
+    expected: 'a telephone number (e.g. +1-555-123-4567)',
+    test: value => /^\+?[0-9][0-9 ().-]{3,}$/.test(value)
+  },
+  'Boolean': {
+    expected: 'a boolean (true, false, yes, no, 1 or 0)',
+    test: value => ['true', 'false', 'yes', 'no', '1', '0'].includes(value.toLowerCase())
+  }
+}
+
+/**
+ * Check a single value against an SMW datatype
+ *
+ * @param {string} value - Value as written in the resource
+ * @param {string} datatype - Property datatype (e.g. "Date")
+ * @returns {boolean} True if the value is acceptable for the datatype
+ *
+ * @example
+ * isValidDatatypeValue('2024-01-15', 'Date') // true
+ * isValidDatatypeValue('Jan 15 2024', 'Date') // false
+ */
+export function isValidDatatypeValue(value, datatype) {
+  const check = DATATYPE_CHECKS[datatype]
+  return check ? check.test(value.trim()) : true
+}
+
+/**
+ * Validate resource values against their property datatypes
+ *
+ * Parameters that do not resolve to a property are skipped here;
+ * validateResources reports them.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateResourceValues(entityIndex) {
+  const errors = []
+
+  for (const [, resource] of entityIndex.resources) {
+    for (const { param, field, propertyId, value, instance } of getResourcePropertyEntries(resource, entityIndex.properties)) {
+      if (!propertyId) continue
+
+      const { datatype } = entityIndex.properties.get(propertyId)
+      const check = DATATYPE_CHECKS[datatype]
+      if (!check) continue
+
+      const values = Array.isArray(value) ? value : [value]
+      for (const item of values) {
+        if (item === '' || isValidDatatypeValue(item, datatype)) continue
+
+        errors.push({
+          file: resource._filePath,
+          ...locate(instance || resource, field, item),
+          type: 'invalid-value',
+          message: `Parameter "${param}" has value "${item}" but property "${propertyId}" (${datatype}) expects ${check.expected}`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
+
+/**
+ * Check a value against a property's enumerated allowed values
+ *
+ * @param {string} value - Value to check
+ * @param {string[]} allowedValues - Property allowed_values
+ * @returns {{valid: boolean, suggestion: string|null}} suggestion is the
+ *   allowed value that differs only in case, if any
+ */
+export function checkAllowedValue(value, allowedValues) {
+  if (allowedValues.includes(value)) return { valid: true, suggestion: null }
+  const suggestion = allowedValues.find(v => v.toLowerCase() === value.toLowerCase()) || null
+  return { valid: false, suggestion }
+}
+
+/**
+ * Format an out-of-enumeration message with an optional case-mismatch hint
+ *
+ * @param {string} prefix - Where the value was found
+ * @param {string} value - Offending value
+ * @param {object} property - Property entity
+ * @param {string|null} suggestion - Case-insensitive match, if any
+ * @returns {string} Error message
+ */
+export function formatAllowedValueMessage(prefix, value, property, suggestion) {
+  let message = `${prefix} has value "${value}" which is not an allowed value of property "${property.id}"`
+  if (suggestion) {
+    message += ` (did you mean "${suggestion}"? values are case-sensitive)`
+  } else {
+    message += ` (allowed: ${property.allowed_values.join(', ')})`
+  }
+  return message
+}
+
+/**
+ * Check whether a query condition value is a literal that can be compared
+ * against an enumeration (not a wildcard, comparison, pattern or template)
+ *
+ * @param {string} value - Condition value, e.g. "beginner" or ">2024"
+ * @returns {boolean} True for plain literal values
+ */
+function isLiteralQueryValue(value) {
+  if (value === '' || value === '+' || value === '!+') return false
+  if (value.includes('{{') || value.includes('*')) return false
+  return !/^(<|>|≤|≥|~|!~)/.test(value)
+}
+
+/**
+ * Validate values of enumerated properties (allows_value)
+ *
+ * Checks resource parameter values and literal values used in dashboard
+ * #ask conditions such as [[Has difficulty level::beginner]]. Values that
+ * differ from an allowed value only in case get a hint, since those typos
+ * silently match nothing on the wiki.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateAllowedValues(entityIndex) {
+  const errors = []
+
+  for (const [, resource] of entityIndex.resources) {
+    for (const { param, field, propertyId, value, instance } of getResourcePropertyEntries(resource, entityIndex.properties)) {
+      if (!propertyId) continue
+
+      const property = entityIndex.properties.get(propertyId)
+      if (!property.allowed_values?.length) continue
+
+      const values = Array.isArray(value) ? value : [value]
+      for (const item of values) {
+        if (item === '') continue
+        const { valid, suggestion } = checkAllowedValue(item, property.allowed_values)
+        if (valid) continue
+
+        errors.push({
+          file: resource._filePath,
+          ...locate(instance || resource, field, item),
+          type: 'invalid-allowed-value',
+          message: formatAllowedValueMessage(`Parameter "${param}"`, item, property, suggestion)
+        })
+      }
+    }
+  }
+
+  for (const [, dashboard] of entityIndex.dashboards) {
+    for (const page of dashboard.pages || []) {
+      for (const query of extractAskQueries(page.wikitext)) {
+        for (const condition of query.conditions) {
+          if (condition.type !== 'property') continue
+
+          const propertyId = resolvePageName(condition.chain[condition.chain.length - 1], entityIndex.properties)
+          const property = propertyId && entityIndex.properties.get(propertyId)
+          if (!property?.allowed_values?.length) continue
+
+          for (const rawValue of condition.values) {
+            if (!isLiteralQueryValue(rawValue)) continue
+
+            const value = rawValue.startsWith('!') ? rawValue.slice(1) : rawValue
+            const { valid, suggestion } = checkAllowedValue(value, property.allowed_values)
+            if (valid) continue
+
+            errors.push({
+              file: page._filePath || dashboard._filePath,
+              line: condition.line,
+              column: condition.column,
+              type: 'invalid-allowed-value',
+              message: formatAllowedValueMessage(`#ask condition [[${condition.raw}]]`, value, property, suggestion)
+            })
+          }
+        }
+      }
+    }
+  }
+
+  return { errors }
+}
@@ -0,0 +1,215 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateResourceValues, validateAllowedValues, isValidDatatypeValue } from './value-validator.js'
+import { createResourceValueIndex, createAllowedValueIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('isValidDatatypeValue', () => {
+  test('accepts ISO dates at year, month and day precision', () => {
+    assert.ok(isValidDatatypeValue('2024', 'Date'))
+    assert.ok(isValidDatatypeValue('2024-02', 'Date'))
+    assert.ok(isValidDatatypeValue('2024-02-29', 'Date'))
+    assert.ok(isValidDatatypeValue('2024-02-29T09:30', 'Date'))
+  })
+
+  test('rejects non-ISO and impossible dates', () => {
+    assert.ok(!isValidDatatypeValue('02/29/2024', 'Date'))
+    assert.ok(!isValidDatatypeValue('Jan 15 2024', 'Date'))
+    assert.ok(!isValidDatatypeValue('2023-02-29', 'Date'))
+    assert.ok(!isValidDatatypeValue('2024-13-01', 'Date'))
+  })
+
+  test('checks numbers', () => {
+    assert.ok(isValidDatatypeValue('42', 'Number'))
+    assert.ok(isValidDatatypeValue('-3.14', 'Number'))
+    assert.ok(isValidDatatypeValue('1e6', 'Number'))
+    assert.ok(!isValidDatatypeValue('twelve', 'Number'))
+    assert.ok(!isValidDatatypeValue('12 seats', 'Number'))
+  })
+
+  test('checks URLs', () => {
+    assert.ok(isValidDatatypeValue('https://example.com/path?q=1', 'URL'))
+    assert.ok(!isValidDatatypeValue('example.com', 'URL'))
+    assert.ok(!isValidDatatypeValue('javascript:alert(1)', 'URL'))
+  })
+
+  test('checks emails and telephone numbers', () => {
+    assert.ok(isValidDatatypeValue('user@example.com', 'Email'))
+    assert.ok(!isValidDatatypeValue('user at example.com', 'Email'))
+    assert.ok(isValidDatatypeValue('+1-555-123-4567', 'Telephone number'))
+    assert.ok(!isValidDatatypeValue('call me', 'Telephone number'))
+  })
+
+  test('checks booleans case-insensitively', () => {
+    assert.ok(isValidDatatypeValue('true', 'Boolean'))
+    assert.ok(isValidDatatypeValue('Yes', 'Boolean'))
+    assert.ok(!isValidDatatypeValue('maybe', 'Boolean'))
+  })
+
+  test('accepts anything for Page and Text', () => {
+    assert.ok(isValidDatatypeValue('Any page', 'Page'))
+    assert.ok(isValidDatatypeValue('2024/01/15', 'Text'))
+  })
+})
+
+describe('validateResourceValues', () => {
+  test('valid values pass', () => {
+    const index = createResourceValueIndex({
+      Has_date: '2024-01-15',
+      Has_capacity: '30',
+      Has_url: ['https://example.com', 'https://example.org'],
+      Has_email: 'user@example.com',
+      Is_first_author: 'true',
+      Has_location: 'Room 101',
+      Has_notes: 'Anything goes'
+    })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('invalid value reports file, parameter, value and expected type', () => {
+    const index = createResourceValueIndex({ Has_date: '01/15/2024' })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'invalid-value')
+    assert.strictEqual(result.errors[0].file, 'resources/Event/Kickoff.wikitext')
+    assert.ok(result.errors[0].message.includes('has_date'))
+    assert.ok(result.errors[0].message.includes('01/15/2024'))
+    assert.ok(result.errors[0].message.includes('Date'))
+  })
+
+  test('each invalid item of a multi-valued parameter is reported', () => {
+    const index = createResourceValueIndex({ Has_url: ['https://example.com', 'not a url', 'www.example.org'] })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 2)
+  })
+
+  test('parameter names are matched to properties case-insensitively', () => {
+    const index = createResourceValueIndex({ Is_First_Author: 'perhaps' })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('Boolean'))
+  })
+
+  test('unknown parameters are skipped', () => {
+    const index = createResourceValueIndex({ Has_unknown: 'whatever' })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('subobject instance values are checked at their own position', () => {
+    const index = createResourceValueIndex({
+      subobjects: [{
+        id: 'Has_maintenance_record',
+        values: { Has_date: 'last spring' },
+        _positions: { id: { line: 6, column: 1 }, Has_date: { line: 7, column: 2, items: [{ value: 'last spring', line: 7, column: 10 }] } }
+      }]
+    })
+
+    const result = validateResourceValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].file, 'resources/Event/Kickoff.wikitext')
+    assert.strictEqual(result.errors[0].line, 7)
+    assert.strictEqual(result.errors[0].column, 10)
+  })
+})
+
+describe('validateAllowedValues', () => {
+  test('allowed resource value passes', () => {
+    const index = createAllowedValueIndex({ resourceFields: { Has_access_status: 'Active' } })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('resource value outside enumeration returns error listing allowed values', () => {
+    const index = createAllowedValueIndex({ resourceFields: { Has_access_status: 'Lost' } })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'invalid-allowed-value')
+    assert.strictEqual(result.errors[0].file, 'resources/Access/Key_1.wikitext')
+    assert.ok(result.errors[0].message.includes('Lost'))
+    assert.ok(result.errors[0].message.includes('Active, Returned, Revoked'))
+  })
+
+  test('case mismatch in resource value gets a hint', () => {
+    const index = createAllowedValueIndex({ resourceFields: { Has_access_status: 'revoked' } })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('did you mean "Revoked"'))
+  })
+
+  test('dashboard #ask filter outside enumeration returns error on the subpage', () => {
+    const index = createAllowedValueIndex({
+      dashboardWikitext: `{{#ask:
+ [[Category:Guide]]
+ [[Has difficulty level::Beginner]]
+ |format=table
+}}`
+    })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].file, 'dashboards/Knowledge_overview/By_difficulty.wikitext')
+    assert.ok(result.errors[0].message.includes('did you mean "beginner"'))
+    assert.strictEqual(result.errors[0].line, 3)
+    assert.strictEqual(result.errors[0].column, 2)
+    assert.ok(!result.errors[0].message.includes('line'))
+  })
+
+  test('dashboard #ask filter resolves its property like a page name', () => {
+    const index = createAllowedValueIndex({
+      dashboardWikitext: '{{#ask: [[has difficulty level::Beginner]] [[has difficulty LEVEL::Beginner]] }}'
+    })
+    index.properties.set('Has_Difficulty_level', { id: 'Has_Difficulty_level', datatype: 'Text' })
+
+    const result = validateAllowedValues(index)
+
+    // Only the first letter is case-insensitive, so the second condition names no property
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'invalid-allowed-value')
+    assert.strictEqual(result.errors[0].column, 9)
+  })
+
+  test('checks each value of a disjunction and negations', () => {
+    const index = createAllowedValueIndex({
+      dashboardWikitext: '{{#ask: [[Has difficulty level::beginner||expert]] [[Has difficulty level::!novice]] }}'
+    })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 2)
+    assert.ok(result.errors[0].message.includes('expert'))
+    assert.ok(result.errors[1].message.includes('novice'))
+  })
+
+  test('wildcards, comparisons and templates are not checked', () => {
+    const index = createAllowedValueIndex({
+      dashboardWikitext: `{{#ask:
+ [[Has difficulty level::+]]
+ [[Has difficulty level::~begin*]]
+ [[Has access status::>{{CURRENTYEAR}}]]
+}}`
+    })
+
+    const result = validateAllowedValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+})
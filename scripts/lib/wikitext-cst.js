@@ -0,0 +1,319 @@
+/**
+ * Lossless syntax tree for OntologySync wikitext files.
+ *
+ * parseEntityFile keeps every character of a file: each top-level template
+ * call inside the OntologySync block becomes a call node split into its
+ * "|"-separated params, and everything else (markers, comments, categories,
+ * page body) is kept as verbatim text. printEntityFile joins the nodes back
+ * together, so an unedited tree prints byte-identical to its source.
+ *
+ * The edit functions change one param or list item of a call in place and
+ * keep the whitespace around it, so a scripted edit shows up as a minimal
+ * diff instead of a regenerated file.
+ */
+
+import { toEntityKey, stripComments, maskComments, scanTemplateCall } from './wikitext-parser.js'
+
+/**
+ * @typedef {Object} ParamNode
+ * @property {string} name - Trimmed param name, or "1", "2", ... for positional params
+ * @property {string|null} rawName - Name as written between "|" and "=", or null if positional
+ * @property {string} rawValue - Value as written, up to the next top-level "|" or "}}"
+ */
+
+/**
+ * @typedef {Object} CallNode
+ * @property {'call'} type
+ * @property {string} name - Trimmed template name, e.g. "Category"
+ * @property {string} rawName - Template name as written after "{{"
+ * @property {ParamNode[]} params - Params in file order
+ */
+
+/**
+ * @typedef {{nodes: Array<string|CallNode>}} EntityFile
+ */
+
+/**
+ * Find the offsets of the first OntologySync block.
+ * @param {string} wikitext - Full wikitext content
+ * @returns {{start: number, end: number}|null} Offset after the Start marker
+ *   line and of the End marker line (or the end of the file), or null if
+ *   there is no Start marker
+ */
+function findBlock(wikitext) {
+  let offset = 0
+  let start = -1
+  for (const line of wikitext.split('\n')) {
+    const trimmed = line.trim()
+    if (start === -1 && trimmed === '<!-- OntologySync Start -->') {
+      start = Math.min(offset + line.length + 1, wikitext.length)
+    } else if (start !== -1 && trimmed === '<!-- OntologySync End -->') {
+      return { start, end: offset }
+    }
+    offset += line.length + 1
+  }
+  return start === -1 ? null : { start, end: wikitext.length }
+}
+
+/**
+ * Build a call node from a scanned template call.
+ * @param {string} wikitext - Text the call was scanned in
+ * @param {{parts: Array<{start: number, end: number, equals: number}>}} call - From scanTemplateCall
+ * @returns {CallNode}
+ */
+function toCallNode(wikitext, { parts: [name, ...args] }) {
+  let positional = 0
+  const params = args.map(arg => arg.equals === -1
+    ? { name: String(++positional), rawName: null, rawValue: wikitext.slice(arg.start, arg.end) }
+    : {
+        name: stripComments(wikitext.slice(arg.start, arg.equals)).trim(),
+        rawName: wikitext.slice(arg.start, arg.equals),
+        rawValue: wikitext.slice(arg.equals + 1, arg.end)
+      })
+
+  return {
+    type: 'call',
+    name: stripComments(wikitext.slice(name.start, name.end)).trim(),
+    rawName: wikitext.slice(name.start, name.end),
+    params
+  }
+}
+
+/**
+ * Parse any entity file into a lossless tree.
+ *
+ * Calls are found the same way as extractTemplateCalls finds them: top-level
+ * {{...}} calls in the first OntologySync block, ignoring comments, up to a
+ * call that never closes. Files without a block (templates, dashboard pages
+ * without annotations) are a single text node.
+ *
+ * @param {string} wikitext - Full wikitext content
+ * @returns {EntityFile}
+ */
+export function parseEntityFile(wikitext) {
+  const block = findBlock(wikitext)
+  if (!block) return { nodes: [wikitext] }
+
+  // Scan only up to the End marker, so an unclosed call cannot swallow it
+  const masked = maskComments(wikitext.slice(0, block.end))
+  const nodes = []
+  let textStart = 0
+
+  for (let i = masked.indexOf('{{', block.start); i !== -1; i = masked.indexOf('{{', i)) {
+    const call = scanTemplateCall(masked, i)
+    if (!call) break
+
+    nodes.push(wikitext.slice(textStart, call.start), toCallNode(wikitext, call))
+    textStart = i = call.end
+  }
+  nodes.push(wikitext.slice(textStart))
+
+  return { nodes }
+}
+
+/**
+ * Print a call node back to wikitext.
+ * @param {CallNode} call
+ * @returns {string}
+ */
+function printCall(call) {
+  const params = call.params.map(param =>
+    `|${param.rawName === null ? '' : `${param.rawName}=`}${param.rawValue}`
+  )
+  return `{{${call.rawName}${params.join('')}}}`
+}
+
+/**
+ * Print a tree back to wikitext.
+ * @param {EntityFile} file - From parseEntityFile, possibly edited
+ * @returns {string} The source, with only the edited params changed
+ */
+export function printEntityFile(file) {
+  return file.nodes.map(node => typeof node === 'string' ? node : printCall(node)).join('')
+}
+
+/**
+ * List the template calls of a tree.
+ * @param {EntityFile} file
+ * @returns {CallNode[]} Calls in file order
+ */
+export function getTemplateCalls(file) {
+  return file.nodes.filter(node => typeof node !== 'string')
+}
+
+/**
+ * Get the call an edit applies to.
+ * @param {EntityFile} file
+ * @param {number} index - Position among the template calls
+ * @returns {CallNode}
+ */
+function getCall(file, index) {
+  const call = getTemplateCalls(file)[index]
+  if (!call) {
+    throw new Error(`Entity file has no template call ${index} (it has ${getTemplateCalls(file).length})`)
+  }
+  return call
+}
+
+/**
+ * Find a param by name. Like the parser, the last of repeated params wins.
+ * @param {CallNode} call
+ * @param {string} name - Param name, e.g. "has_description"
+ * @returns {ParamNode|undefined}
+ */
+function findParam(call, name) {
+  return call.params.findLast(param => param.name === name)
+}
+
+/**
+ * Split a raw value into the whitespace around it and its content.
+ * A blank value is all trailing whitespace, so it keeps its line break.
+ * @param {string} rawValue
+ * @returns {{lead: string, content: string, trail: string}}
+ */
+function splitPadding(rawValue) {
+  const trail = rawValue.match(/\s*$/)[0]
+  const lead = rawValue.slice(0, rawValue.length - trail.length).match(/^\s*/)[0]
+  return { lead, content: rawValue.slice(lead.length, rawValue.length - trail.length), trail }
+}
+
+/**
+ * Locate the trimmed comma-separated items of a value.
+ * @param {string} content - Value content, without surrounding whitespace
+ * @returns {Array<{value: string, start: number, end: number}>} Items
+ *   (comments stripped) with their offsets in content, ignoring commas
+ *   inside comments
+ */
+function findItems(content) {
+  const items = []
+  let start = 0
+  for (const part of maskComments(content).split(',')) {
+    // Comments next to an item belong to it
+    const raw = content.slice(start, start + part.length)
+    const itemStart = start + raw.length - raw.trimStart().length
+    const itemEnd = start + raw.trimEnd().length
+    if (part.trim()) {
+      items.push({ value: stripComments(content.slice(itemStart, itemEnd)).trim(), start: itemStart, end: itemEnd })
+    }
+    start += part.length + 1
+  }
+  return items
+}
+
+/**
+ * Get the value of a param, as the parser would read it.
+ * @param {EntityFile} file
+ * @param {string} name - Param name, e.g. "has_description"
+ * @param {Object} [options]
+ * @param {number} [options.call=0] - Template call to read
+ * @returns {string|undefined} Trimmed value without comments, or undefined if unset
+ */
+export function getParam(file, name, { call = 0 } = {}) {
+  const param = findParam(getCall(file, call), name)
+  return param && stripComments(param.rawValue).trim()
+}
+
+/**
+ * Set a param to a new value.
+ *
+ * An existing param keeps its name and the whitespace around its value.
+ * A new param is appended after the last one, following its layout: on its
+ * own line in a multi-line call, inline in a one-line call.
+ *
+ * @param {EntityFile} file - Edited in place
+ * @param {string} name - Param name, e.g. "has_description"
+ * @param {string} value - New value as wikitext (escape commas in list items)
+ * @param {Object} [options]
+ * @param {number} [options.call=0] - Template call to edit
+ */
+export function setParam(file, name, value, { call = 0 } = {}) {
+  const node = getCall(file, call)
+  const param = findParam(node, name)
+
+  if (param) {
+    const { lead, trail } = splitPadding(param.rawValue)
+    param.rawValue = lead + value + trail
+    return
+  }
+
+  const last = node.params.at(-1)
+  const { trail } = splitPadding(last ? last.rawValue : node.rawName)
+  node.params.push({ name, rawName: name, rawValue: value + trail })
+}
+
+/**
+ * Remove a param, with its "|" and the line break after it.
+ * @param {EntityFile} file - Edited in place
+ * @param {string} name - Param name, e.g. "has_description"
+ * @param {Object} [options]
+ * @param {number} [options.call=0] - Template call to edit
+ * @returns {boolean} Whether the param was set
+ */
+export function removeParam(file, name, { call = 0 } = {}) {
+  const node = getCall(file, call)
+  const param = findParam(node, name)
+  if (!param) return false
+
+  node.params.splice(node.params.indexOf(param), 1)
+  return true
+}
+
+/**
+ * Append an item to a comma-separated param, e.g. a property to
+ * has_optional_property. The separator follows the existing ones (", " by
+ * default). Sets the param if it is unset or blank.
+ *
+ * Items match whether written with spaces or underscores.
+ *
+ * @param {EntityFile} file - Edited in place
+ * @param {string} name - Param name, e.g. "has_optional_property"
+ * @param {string} item - Item as wikitext, e.g. "Has email"
+ * @param {Object} [options]
+ * @param {number} [options.call=0] - Template call to edit
+ * @returns {boolean} Whether the item was added (false if already listed)
+ */
+export function addListItem(file, name, item, { call = 0 } = {}) {
+  const param = findParam(getCall(file, call), name)
+  const { lead, content, trail } = splitPadding(param ? param.rawValue : '')
+  const items = findItems(content)
+
+  if (items.some(existing => toEntityKey(existing.value) === toEntityKey(item))) return false
+  if (items.length === 0) {
+    setParam(file, name, item, { call })
+    return true
+  }
+
+  const separator = content.match(/,\s*/)?.[0] || ', '
+  param.rawValue = lead + content + separator + item + trail
+  return true
+}
+
+/**
+ * Remove an item from a comma-separated param, with the separator before it
+ * (or after it, for the first item). Removing the last item removes the param.
+ *
+ * Items match whether written with spaces or underscores.
+ *
+ * @param {EntityFile} file - Edited in place
+ * @param {string} name - Param name, e.g. "has_optional_property"
+ * @param {string} item - Item to remove, e.g. "Has email" or "Has_email"
+ * @param {Object} [options]
+ * @param {number} [options.call=0] - Template call to edit
+ * @returns {boolean} Whether the item was listed
+ */
+export function removeListItem(file, name, item, { call = 0 } = {}) {
+  const param = findParam(getCall(file, call), name)
+  if (!param) return false
+
+  const { lead, content, trail } = splitPadding(param.rawValue)
+  const items = findItems(content)
+  const index = items.findIndex(existing => toEntityKey(existing.value) === toEntityKey(item))
+  if (index === -1) return false
+  if (items.length === 1) return removeParam(file, name, { call })
+
+  const [from, to] = index === 0
+    ? [items[0].start, items[1].start]
+    : [items[index - 1].end, items[index].end]
+  param.rawValue = lead + content.slice(0, from) + content.slice(to) + trail
+  return true
+}
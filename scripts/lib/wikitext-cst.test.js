@@ -0,0 +1,243 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  parseEntityFile,
+  printEntityFile,
+  getTemplateCalls,
+  getParam,
+  setParam,
+  removeParam,
+  addListItem,
+  removeListItem,
+} from './wikitext-cst.js'
+import { parseCategory, extractTemplateCalls } from './wikitext-parser.js'
+import { generateCategory, generateProperty, generateResource } from './wikitext-generator.js'
+
+const CATEGORY = `<!-- OntologySync Start -->
+{{Category
+|has_description=A human being
+|has_parent_category=Agent
+|has_required_property=Has name
+|has_optional_property=Has email, Has website
+}}
+<!-- OntologySync End -->
+[[Category:OntologySync-managed]]
+`
+
+/**
+ * Parse, edit and print a file in one go
+ * @param {string} wikitext
+ * @param {function(Object): void} editFile
+ * @returns {string}
+ */
+function edit(wikitext, editFile) {
+  const file = parseEntityFile(wikitext)
+  editFile(file)
+  return printEntityFile(file)
+}
+
+describe('parseEntityFile / printEntityFile', () => {
+  it('prints generated files byte-identical', () => {
+    const files = [
+      CATEGORY,
+      generateCategory({ id: 'Empty' }),
+      generateProperty({ id: 'Has_name', datatype: 'Text', cardinality: 'single', allowed_values: ['A', 'B'] }),
+      generateResource({ id: 'SOP/Mounting', category: 'SOP', body: 'Step 1\n\n{{Note|careful}}', Has_author: ['Smith, J.'] }),
+    ]
+    for (const wikitext of files) {
+      assert.equal(printEntityFile(parseEntityFile(wikitext)), wikitext)
+    }
+  })
+
+  it('keeps comments, nested templates, links, odd spacing and text outside the block', () => {
+    const wikitext = 'Intro {{Not|in block}}\r\n  <!-- OntologySync Start -->  \n' +
+      '<!-- {{Commented|out}} -->\n{{ Glossary <!-- c -->\n | has_definition = Uses {{Unit|5|mm}} and [[Calcium imaging|imaging]] ,\n' +
+      '|positional}}{{Has maintenance record|has_date=2024-01-01}}\ntrailing\n<!-- OntologySync End -->\nBody {{Other}}'
+
+    const file = parseEntityFile(wikitext)
+    const calls = getTemplateCalls(file)
+
+    assert.equal(printEntityFile(file), wikitext)
+    assert.deepEqual(calls.map(call => call.name), ['Glossary', 'Has maintenance record'])
+    assert.deepEqual(calls[0].params.map(param => param.name), ['has_definition', '1'])
+    assert.equal(getParam(file, 'has_definition'), 'Uses {{Unit|5|mm}} and [[Calcium imaging|imaging]] ,')
+    assert.equal(getParam(file, 'has_date', { call: 1 }), '2024-01-01')
+  })
+
+  it('finds the same calls and values as the parser', () => {
+    const wikitext = CATEGORY.replace('Agent', 'Agent <!-- root -->')
+    const file = parseEntityFile(wikitext)
+    const [parsed] = extractTemplateCalls(wikitext)
+
+    for (const [name, value] of parsed.params) {
+      assert.equal(getParam(file, name), value)
+    }
+  })
+
+  it('treats files without a block as text', () => {
+    for (const wikitext of ['', '{{Template|x=1}}', '<includeonly>{{#if:x|y}}</includeonly>\n']) {
+      const file = parseEntityFile(wikitext)
+      assert.deepEqual(getTemplateCalls(file), [])
+      assert.equal(printEntityFile(file), wikitext)
+    }
+  })
+
+  it('keeps an unclosed call and the End marker as text', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{Category\n|has_description=x\n<!-- OntologySync End -->\n}}\n'
+    const file = parseEntityFile(wikitext)
+
+    assert.deepEqual(getTemplateCalls(file), [])
+    assert.equal(printEntityFile(file), wikitext)
+  })
+})
+
+describe('setParam', () => {
+  it('replaces only the value of an existing param', () => {
+    const result = edit(CATEGORY, file => setParam(file, 'has_description', 'A person'))
+
+    assert.equal(result, CATEGORY.replace('A human being', 'A person'))
+  })
+
+  it('keeps the spacing around an inline value', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{Property| has_type = Text |has_description=x}}\n<!-- OntologySync End -->\n'
+    const result = edit(wikitext, file => setParam(file, 'has_type', 'Page'))
+
+    assert.equal(result, wikitext.replace('= Text |', '= Page |'))
+  })
+
+  it('fills an empty value on its own line', () => {
+    const wikitext = CATEGORY.replace('A human being', '')
+    const result = edit(wikitext, file => setParam(file, 'has_description', 'A person'))
+
+    assert.equal(result, CATEGORY.replace('A human being', 'A person'))
+  })
+
+  it('appends a new param on its own line in a multi-line call', () => {
+    const result = edit(CATEGORY, file => setParam(file, 'has_display_label', 'Person'))
+
+    assert.equal(result, CATEGORY.replace('Has website\n', 'Has website\n|has_display_label=Person\n'))
+    assert.equal(parseCategory(result, 'Person').label, 'Person')
+  })
+
+  it('appends a new param inline in a one-line call', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{Property|has_type=Text}}\n<!-- OntologySync End -->\n'
+    const result = edit(wikitext, file => setParam(file, 'has_description', 'x'))
+
+    assert.equal(result, wikitext.replace('Text}}', 'Text|has_description=x}}'))
+  })
+
+  it('adds the first param of a call without params', () => {
+    const wikitext = generateCategory({ id: 'Empty' })
+    const result = edit(wikitext, file => setParam(file, 'has_description', 'Nothing yet'))
+
+    assert.equal(parseCategory(result, 'Empty').description, 'Nothing yet')
+    assert.equal(printEntityFile(parseEntityFile(result)), result)
+  })
+
+  it('edits the requested call', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{SOP|has_description=x}}\n{{Has step|has_text=a}}\n{{Has step|has_text=b}}\n<!-- OntologySync End -->\n'
+    const result = edit(wikitext, file => setParam(file, 'has_text', 'B', { call: 2 }))
+
+    assert.equal(result, wikitext.replace('has_text=b', 'has_text=B'))
+  })
+
+  it('throws for a call that does not exist', () => {
+    const file = parseEntityFile('no block here')
+
+    assert.throws(() => setParam(file, 'has_description', 'x'), /no template call 0/)
+  })
+})
+
+describe('removeParam', () => {
+  it('removes the param line and nothing else', () => {
+    const result = edit(CATEGORY, file => assert.equal(removeParam(file, 'has_parent_category'), true))
+
+    assert.equal(result, CATEGORY.replace('|has_parent_category=Agent\n', ''))
+  })
+
+  it('removes the last param of a call', () => {
+    const result = edit(CATEGORY, file => removeParam(file, 'has_optional_property'))
+
+    assert.equal(result, CATEGORY.replace('|has_optional_property=Has email, Has website\n', ''))
+  })
+
+  it('returns false for an unset param', () => {
+    const result = edit(CATEGORY, file => assert.equal(removeParam(file, 'has_display_label'), false))
+
+    assert.equal(result, CATEGORY)
+  })
+})
+
+describe('addListItem', () => {
+  it('appends an item with the existing separator', () => {
+    const result = edit(CATEGORY, file => assert.equal(addListItem(file, 'has_optional_property', 'Has phone'), true))
+
+    assert.equal(result, CATEGORY.replace('Has email, Has website', 'Has email, Has website, Has phone'))
+  })
+
+  it('follows a separator without a space', () => {
+    const wikitext = CATEGORY.replace('Has email, Has website', 'Has email,Has website')
+    const result = edit(wikitext, file => addListItem(file, 'has_optional_property', 'Has phone'))
+
+    assert.equal(result, wikitext.replace('Has email,Has website', 'Has email,Has website,Has phone'))
+  })
+
+  it('sets an unset param', () => {
+    const result = edit(CATEGORY, file => addListItem(file, 'has_optional_subobject', 'Address'))
+
+    assert.deepEqual(parseCategory(result, 'Person').optional_subobjects, ['Address'])
+  })
+
+  it('skips an item that is already listed, with spaces or underscores', () => {
+    const result = edit(CATEGORY, file => assert.equal(addListItem(file, 'has_optional_property', 'Has_email'), false))
+
+    assert.equal(result, CATEGORY)
+  })
+})
+
+describe('removeListItem', () => {
+  const wikitext = CATEGORY.replace('Has email, Has website', 'Has email, Has website, Has phone')
+
+  it('removes a middle or last item with the separator before it', () => {
+    assert.equal(
+      edit(wikitext, file => removeListItem(file, 'has_optional_property', 'Has website')),
+      CATEGORY.replace('Has email, Has website', 'Has email, Has phone')
+    )
+    assert.equal(
+      edit(wikitext, file => removeListItem(file, 'has_optional_property', 'Has_phone')),
+      CATEGORY
+    )
+  })
+
+  it('removes the first item with the separator after it', () => {
+    const result = edit(wikitext, file => removeListItem(file, 'has_optional_property', 'Has email'))
+
+    assert.equal(result, CATEGORY.replace('Has email, Has website', 'Has website, Has phone'))
+  })
+
+  it('removes the param with its only item', () => {
+    const result = edit(CATEGORY, file => removeListItem(file, 'has_parent_category', 'Agent'))
+
+    assert.equal(result, CATEGORY.replace('|has_parent_category=Agent\n', ''))
+  })
+
+  it('ignores commas inside comments and removes an item with its comment', () => {
+    const commented = CATEGORY.replace('Has email, Has website', 'Has email <!-- a, b -->, Has website')
+    const result = edit(commented, file => removeListItem(file, 'has_optional_property', 'Has website'))
+
+    assert.equal(result, CATEGORY.replace('Has email, Has website', 'Has email <!-- a, b -->'))
+    assert.equal(
+      edit(commented, file => removeListItem(file, 'has_optional_property', 'Has email')),
+      CATEGORY.replace('Has email, ', '')
+    )
+  })
+
+  it('returns false for an item that is not listed', () => {
+    const result = edit(CATEGORY, file => {
+      assert.equal(removeListItem(file, 'has_optional_property', 'Has phone'), false)
+      assert.equal(removeListItem(file, 'has_display_label', 'x'), false)
+    })
+
+    assert.equal(result, CATEGORY)
+  })
+})
@@ -5,7 +5,7 @@
  * as the old JSON entity files, it produces wikitext with {{Template|param=value}} calls.
  */
 
-import { toPageName, NAMESPACE_TO_ENTITY_TYPE } from './wikitext-parser.js'
+import { toPageName, NAMESPACE_TO_ENTITY_TYPE, ESCAPED_COMMA, RESOURCE_METADATA_KEYS } from './wikitext-parser.js'
 
 // Reverse mapping: entity type -> namespace constant
 const ENTITY_TYPE_TO_NAMESPACE = Object.fromEntries(
@@ -218,8 +218,31 @@ export function generateDashboardPage(wikitext) {
   return (wikitext || '') + '\n'
 }
 
+/**
+ * Convert property fields to template params.
+ *
+ * Array values (multi-valued properties) are joined with ", ", with commas
+ * inside items written as ESCAPED_COMMA; strings are written as is.
+ *
+ * @param {Array<[string, string|string[]]>} fields - [property ID, value] pairs
+ * @returns {Array<[string, string]>} [param, value] pairs
+ */
+function toPropertyParams(fields) {
+  return fields.map(([key, value]) => [
+    toParam(key),
+    Array.isArray(value) ? value.map(item => String(item).replaceAll(',', ESCAPED_COMMA)).join(', ') : String(value),
+  ])
+}
+
 /**
  * Generate wikitext for a resource entity.
+ *
+ * Subobject instances follow the resource's call inside the block. Extra
+ * categories and the body are written after the block, in that order.
+ *
+ * Property values are written as toPropertyParams describes, so
+ * parseResource reads them back unchanged.
+ *
  * @param {object} entity - Structured resource dict
  * @returns {string} Wikitext content
  */
@@ -234,24 +257,22 @@ export function generateResource(entity) {
     params.push(['display_label', entity.label])
   }
 
-  // Dynamic property fields (everything that's not metadata)
-  const metadataKeys = new Set(['id', 'label', 'description', 'category'])
-  for (const [key, value] of Object.entries(entity)) {
-    if (metadataKeys.has(key)) continue
-    const paramName = toParam(key)
-    if (Array.isArray(value)) {
-      params.push([paramName, value.join(', ')])
-    } else {
-      params.push([paramName, String(value)])
-    }
-  }
+  // Dynamic property fields (everything that's not metadata).
+  // Underscore-prefixed keys (_filePath, _positions, ...) are parser bookkeeping
+  params.push(...toPropertyParams(
+    Object.entries(entity).filter(([key]) => !RESOURCE_METADATA_KEYS.has(key) && !key.startsWith('_'))
+  ))
 
   // Template name = first content category (or entity type from id)
-  const templateName = entity.category || 'Resource'
+  const templateName = entity.category ? toPageName(entity.category) : 'Resource'
 
   const lines = [
     '<!-- OntologySync Start -->',
     buildTemplateCall(templateName, params),
+    // Subobject instances, one call each, named after the subobject
+    ...(entity.subobjects || []).map(instance =>
+      buildTemplateCall(toPageName(instance.id), toPropertyParams(Object.entries(instance.values || {})))
+    ),
     '<!-- OntologySync End -->',
   ]
 
@@ -259,8 +280,16 @@ export function generateResource(entity) {
   if (entity.category) {
     lines.push(`[[Category:${toPageName(entity.category)}]]`)
   }
+  for (const category of entity.extra_categories || []) {
+    lines.push(`[[Category:${toPageName(category)}]]`)
+  }
   lines.push('[[Category:OntologySync-managed-resource]]')
 
+  // Free wikitext after a blank line
+  if (entity.body) {
+    lines.push('', entity.body)
+  }
+
   return lines.join('\n') + '\n'
 }
 
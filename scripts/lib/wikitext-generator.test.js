@@ -342,6 +342,13 @@ describe('generateResource', () => {
     assert.ok(wikitext.includes('{{Person'))
   })
 
+  it('writes a multi-word category as a page name', () => {
+    const wikitext = generateResource({ id: 'Access_point/Key_1', category: 'Access_point' })
+
+    assert.ok(wikitext.includes('{{Access point\n'))
+    assert.ok(wikitext.includes('[[Category:Access point]]'))
+  })
+
   it('handles multi-valued dynamic properties', () => {
     const wikitext = generateResource({
       id: 'Person/Multi',
@@ -354,6 +361,33 @@ describe('generateResource', () => {
     assert.ok(wikitext.includes('|has_skill=Python, JavaScript, Rust'))
   })
 
+  it('escapes commas inside multi-valued items but not in single values', () => {
+    const wikitext = generateResource({
+      id: 'Publication/Paper',
+      label: 'Paper',
+      category: 'Publication',
+      Has_author: ['Smith, J.', 'Doe, A.'],
+      Has_abstract: 'Fast, cheap, reliable.',
+    })
+
+    assert.ok(wikitext.includes('|has_author=Smith&#44; J., Doe&#44; A.'))
+    assert.ok(wikitext.includes('|has_abstract=Fast, cheap, reliable.'))
+  })
+
+  it('writes extra categories and the body after the block', () => {
+    const wikitext = generateResource({
+      id: 'Glossary/GRIN_lens',
+      label: 'GRIN lens',
+      category: 'Glossary',
+      extra_categories: ['Optics'],
+      body: 'A GRIN lens focuses light.\n\n== Uses ==',
+    })
+
+    assert.ok(wikitext.endsWith('[[Category:Glossary]]\n[[Category:Optics]]\n[[Category:OntologySync-managed-resource]]\n\nA GRIN lens focuses light.\n\n== Uses ==\n'))
+    assert.ok(!extractTemplateCall(wikitext).params.has('body'))
+    assert.ok(!extractTemplateCall(wikitext).params.has('extra_categories'))
+  })
+
   it('skips metadata keys (id, label, description, category)', () => {
     const wikitext = generateResource({
       id: 'Test/Item',
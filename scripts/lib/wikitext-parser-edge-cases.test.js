@@ -8,6 +8,7 @@ import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
 import {
   extractTemplateCall,
+  extractTemplateCalls,
   extractCategories,
   toPageName,
   toEntityKey,
@@ -93,6 +94,89 @@ some random text after
     assert.strictEqual(result.templateName, 'Category')
     assert.strictEqual(result.params.size, 0)
   })
+
+  it('keeps piped links, {{!}} and nested templates inside values', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{SOP
+|has_purpose=Prepare [[Calcium imaging|imaging]] rigs {{!}} scopes
+|has_lens_diameter={{Unit|1.8|mm}}
+|has_notes=See [[Has link::Main page]] and {{Outer|{{Inner|a=b}}}}
+}}
+<!-- OntologySync End -->`
+    const result = extractTemplateCall(wikitext)
+    assert.deepStrictEqual([...result.params], [
+      ['has_purpose', 'Prepare [[Calcium imaging|imaging]] rigs {{!}} scopes'],
+      ['has_lens_diameter', '{{Unit|1.8|mm}}'],
+      ['has_notes', 'See [[Has link::Main page]] and {{Outer|{{Inner|a=b}}}}'],
+    ])
+  })
+
+  it('drops HTML comments, including ones containing | and }}', () => {
+    const wikitext = `<!-- OntologySync Start -->
+<!-- header | with }} braces -->
+{{Category
+|has_description=A person <!-- not | a param -->
+<!-- |has_parent_category=Agent -->
+|display_label=Person
+}}
+<!-- OntologySync End -->`
+    const result = extractTemplateCall(wikitext)
+    assert.deepStrictEqual([...result.params], [['has_description', 'A person'], ['display_label', 'Person']])
+    assert.deepStrictEqual([result.line, result.column], [3, 1])
+    assert.deepStrictEqual(result.positions.get('display_label'), { line: 6, column: 2, items: [{ value: 'Person', line: 6, column: 16 }] })
+  })
+
+  it('names params without "=" by position', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_description=A
+| stray value
+}}
+<!-- OntologySync End -->`
+    const result = extractTemplateCall(wikitext)
+    assert.strictEqual(result.params.get('1'), 'stray value')
+    assert.deepStrictEqual([result.positions.get('1').line, result.positions.get('1').column], [4, 3])
+  })
+
+  it('keeps an unmatched [[ as text', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_description=See [[Person
+|display_label=Person
+}}
+<!-- OntologySync End -->`
+    const result = extractTemplateCall(wikitext)
+    assert.deepStrictEqual([...result.params], [['has_description', 'See [[Person'], ['display_label', 'Person']])
+  })
+
+  it('returns null for a call that never closes', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_description=See {{Person
+}}
+<!-- OntologySync End -->`
+    assert.strictEqual(extractTemplateCall(wikitext), null)
+  })
+})
+
+describe('extractTemplateCalls edge cases', () => {
+  it('returns every top-level call in order', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Equipment
+|has_name=Scope
+}}
+{{Has maintenance record
+|has_date=2024-01-01
+}}
+<!-- OntologySync End -->`
+    const calls = extractTemplateCalls(wikitext)
+    assert.deepStrictEqual(calls.map(c => [c.templateName, c.line]), [['Equipment', 2], ['Has maintenance record', 5]])
+    assert.strictEqual(calls[1].params.get('has_date'), '2024-01-01')
+  })
+
+  it('returns no calls without a block', () => {
+    assert.deepStrictEqual(extractTemplateCalls('{{Category}}'), [])
+  })
 })
 
 // ─── extractCategories ──────────────────────────────────────────────────────
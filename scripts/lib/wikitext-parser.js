@@ -8,6 +8,8 @@
  * so downstream code (validation, artifact generation) works unchanged.
  */
 
+import { suggestClosest, formatSuggestion } from './suggest.js'
+
 // Namespace prefix to entity type mapping (for stripping prefixes from values)
 const NAMESPACE_PREFIXES = {
   'Category': 'Category',
@@ -54,6 +56,22 @@ function splitComma(value) {
   return value.split(',').map(s => s.trim()).filter(Boolean)
 }
 
+/**
+ * Written in place of a literal comma inside one item of a multi-valued
+ * resource param, e.g. "Smith&#44; J., Doe&#44; A." for two authors.
+ * MediaWiki renders it as a comma.
+ */
+export const ESCAPED_COMMA = '&#44;'
+
+/**
+ * Split a multi-valued param at its unescaped commas, then unescape each item.
+ * @param {string} value - e.g. "Smith&#44; J., Doe&#44; A."
+ * @returns {string[]} e.g. ["Smith, J.", "Doe, A."]
+ */
+function splitValues(value) {
+  return splitComma(value).map(item => item.replaceAll(ESCAPED_COMMA, ','))
+}
+
 /**
  * Split a comma-separated value string into entity keys (underscored).
  * @param {string} value - e.g. "Has first name, Has last name"
@@ -64,18 +82,155 @@ function commaToKeys(value) {
 }
 
 /**
- * Extract a template call from within the OntologySync block.
- * Parses {{TemplateName|param1=value1|param2=value2}} syntax.
+ * Build a function that converts character offsets in text to 1-based
+ * line and column numbers.
+ * @param {string} text
+ * @returns {function(number): {line: number, column: number}}
+ */
+export function createLocator(text) {
+  const lineStarts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1)
+  }
+
+  return (offset) => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= offset) low = mid
+      else high = mid - 1
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 }
+  }
+}
+
+/**
+ * Count leading whitespace characters.
+ * @param {string} text
+ * @returns {number}
+ */
+function leadingSpace(text) {
+  return text.length - text.trimStart().length
+}
+
+/**
+ * Remove HTML comments (an unterminated comment runs to the end).
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripComments(text) {
+  return text.replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+}
+
+/**
+ * Blank out HTML comments, keeping every other character (and newlines
+ * inside comments) at its offset, so the text can be scanned and located
+ * without special-casing comments.
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskComments(text) {
+  return text.replace(/<!--[\s\S]*?(?:-->|$)/g, comment => comment.replace(/[^\n]/g, ' '))
+}
+
+/**
+ * Locate the trimmed comma-separated items of a raw param value.
+ * @param {string} rawValue - Value as written, before trimming
+ * @param {string} maskedValue - rawValue with comments blanked out
+ * @param {number} offset - Offset of rawValue in the located text
+ * @param {function(number): {line: number, column: number}} locate
+ * @returns {Array<{value: string, line: number, column: number}>}
+ */
+function locateItems(rawValue, maskedValue, offset, locate) {
+  const items = []
+  let start = 0
+  for (const part of maskedValue.split(',')) {
+    const value = stripComments(rawValue.slice(start, start + part.length)).trim()
+    if (value) items.push({ value, ...locate(offset + start + leadingSpace(part)) })
+    start += part.length + 1
+  }
+  return items
+}
+
+/**
+ * Scan one template call starting at "{{".
  *
- * @param {string} wikitext - Full wikitext content
- * @returns {{ templateName: string, params: Map<string, string> } | null}
+ * Nested {{templates}} (including {{!}}) and [[links]] are tracked on a
+ * stack, so only a "|", "=" or "}}" at the top level of the call counts.
+ * Like MediaWiki, a "[[" that is still open when its enclosing call closes
+ * (or at the end of the text) is plain text: the call is scanned again
+ * without it. Comments must already be masked.
+ *
+ * @param {string} text - Masked block text
+ * @param {number} start - Offset of the opening "{{"
+ * @returns {{start: number, end: number, parts: Array<{start: number, end: number, equals: number}>}|null}
+ *   Offsets of the call (end is after its closing "}}") and of its
+ *   "|"-separated parts (the first is the template name; equals is the
+ *   offset of the first top-level "=", or -1), or null if it never closes
  */
-export function extractTemplateCall(wikitext) {
-  const lines = wikitext.split('\n')
+export function scanTemplateCall(text, start) {
+  const literalLinks = new Set()
+  for (;;) {
+    const result = scanTemplateCallOnce(text, start, literalLinks)
+    if (typeof result !== 'number') return result
+    literalLinks.add(result)
+  }
+}
+
+/**
+ * Scan one template call, treating the given "[[" offsets as plain text.
+ * @param {string} text - Masked block text
+ * @param {number} start - Offset of the opening "{{"
+ * @param {Set<number>} literalLinks - Offsets of "[[" that are not links
+ * @returns {object|number|null} The call as for scanTemplateCall, null if it
+ *   never closes, or the offset of a "[[" left open, to rescan without it
+ */
+function scanTemplateCallOnce(text, start, literalLinks) {
+  const parts = []
+  const stack = []
+  let part = { start: start + 2, equals: -1 }
+
+  for (let i = start + 2; i < text.length; i++) {
+    const pair = text.slice(i, i + 2)
+    const top = stack[stack.length - 1]
+
+    if (pair === '{{' || (pair === '[[' && !literalLinks.has(i))) {
+      stack.push({ close: pair === '{{' ? '}}' : ']]', start: i })
+      i++
+    } else if (top?.close === ']]' && pair === '}}') {
+      return top.start
+    } else if (top) {
+      if (pair === top.close) {
+        stack.pop()
+        i++
+      }
+    } else if (pair === '}}') {
+      parts.push({ ...part, end: i })
+      return { start, end: i + 2, parts }
+    } else if (text[i] === '|') {
+      parts.push({ ...part, end: i })
+      part = { start: i + 1, equals: -1 }
+    } else if (text[i] === '=' && part.equals === -1 && parts.length > 0) {
+      part.equals = i
+    }
+  }
 
+  const openLink = stack.findLast(entry => entry.close === ']]')
+  return openLink ? openLink.start : null
+}
+
+/**
+ * Collect the lines between the OntologySync markers.
+ * @param {string} wikitext - Full wikitext content
+ * @returns {{text: string, fileLines: number[]}} Block text, and the file
+ *   line number (1-based) of each of its lines
+ */
+function extractBlock(wikitext) {
   let inBlock = false
-  let templateLines = []
-  for (const line of lines) {
+  const blockLines = []
+  const fileLines = []
+  for (const [index, line] of wikitext.split('\n').entries()) {
     const trimmed = line.trim()
 
     if (trimmed === '<!-- OntologySync Start -->') {
@@ -88,34 +243,251 @@ export function extractTemplateCall(wikitext) {
     }
 
     if (inBlock) {
-      templateLines.push(line)
+      blockLines.push(line)
+      fileLines.push(index + 1)
+    }
+  }
+  return { text: blockLines.join('\n'), fileLines }
+}
+
+/**
+ * Extract every top-level template call from within the OntologySync block.
+ * Parses {{TemplateName|param1=value1|param2=value2}} syntax.
+ *
+ * Values may contain nested templates ({{Unit|5|mm}}, {{!}}) and piped
+ * links ([[Calcium imaging|imaging]]); HTML comments are dropped from names
+ * and values. Params without "=" are positional and named "1", "2", ...
+ * Text between calls is ignored, and scanning stops at a call that never
+ * closes.
+ *
+ * Positions record where each param name (or positional value) starts in
+ * the file, and where each comma-separated item of its value starts
+ * (1-based line and column). The line and column of a call are those of
+ * its opening braces.
+ *
+ * @param {string} wikitext - Full wikitext content
+ * @returns {Array<{ templateName: string, params: Map<string, string>, positions: Map<string, {line: number, column: number, items: Array<{value: string, line: number, column: number}>}>, line: number, column: number }>}
+ */
+export function extractTemplateCalls(wikitext) {
+  const { text, fileLines } = extractBlock(wikitext)
+  const masked = maskComments(text)
+
+  // Map offsets in the block back to file lines and columns
+  const locateInBlock = createLocator(text)
+  const locate = (offset) => {
+    const { line, column } = locateInBlock(offset)
+    return { line: fileLines[line - 1], column }
+  }
+
+  const calls = []
+  for (let i = masked.indexOf('{{'); i !== -1; i = masked.indexOf('{{', i)) {
+    const call = scanTemplateCall(masked, i)
+    if (!call) break
+
+    const [name, ...args] = call.parts
+    const params = new Map()
+    const positions = new Map()
+    let positional = 0
+
+    for (const arg of args) {
+      const named = arg.equals !== -1
+      const key = named ? stripComments(text.slice(arg.start, arg.equals)).trim() : String(++positional)
+      const valueStart = named ? arg.equals + 1 : arg.start
+
+      params.set(key, stripComments(text.slice(valueStart, arg.end)).trim())
+      positions.set(key, {
+        // Where the name starts, or the value for positional params
+        ...locate(arg.start + leadingSpace(masked.slice(arg.start, named ? arg.equals : arg.end))),
+        items: locateItems(text.slice(valueStart, arg.end), masked.slice(valueStart, arg.end), valueStart, locate)
+      })
     }
+
+    calls.push({
+      templateName: stripComments(text.slice(name.start, name.end)).trim(),
+      params,
+      positions,
+      ...locate(call.start)
+    })
+    i = call.end
   }
 
-  // Join all lines inside the block
-  const blockContent = templateLines.join('\n').trim()
-  if (!blockContent) return null
+  return calls
+}
 
-  // Match {{ ... }} template call (may span multiple lines)
-  const match = blockContent.match(/^\{\{([^|}\n]+)([\s\S]*)\}\}$/m)
-  if (!match) return null
+/**
+ * Extract the template call from within the OntologySync block: the first
+ * one, if the block holds several (see extractTemplateCalls).
+ *
+ * @param {string} wikitext - Full wikitext content
+ * @returns {{ templateName: string, params: Map<string, string>, positions: Map<string, {line: number, column: number, items: Array<{value: string, line: number, column: number}>}>, line: number, column: number } | null}
+ */
+export function extractTemplateCall(wikitext) {
+  return extractTemplateCalls(wikitext)[0] || null
+}
 
-  const templateName = match[1].trim()
-  const paramBlock = match[2]
+/**
+ * Check that wikitext has a well-formed OntologySync block calling the
+ * expected template.
+ *
+ * Reports, at most one of:
+ * - missing-markers: no Start/End markers, or one without the other
+ * - missing-template-call: the block holds no {{Template|...}} call
+ *   (empty block, or unbalanced braces)
+ * - wrong-template-name: the call is to another template, e.g. {{Property}}
+ *   in categories/
+ *
+ * @param {string} wikitext - Full wikitext content
+ * @param {string} templateName - Template the block must call, e.g. "Category"
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Files without any markers are fine (dashboard pages)
+ * @returns {Array<{line: number, column: number, type: string, message: string}>} Problems found
+ */
+export function diagnoseAnnotationBlock(wikitext, templateName, { optional = false } = {}) {
+  const lines = wikitext.split('\n')
+  const findMarker = (marker) => {
+    const index = lines.findIndex(line => line.trim() === marker)
+    return index === -1 ? null : { line: index + 1, column: leadingSpace(lines[index]) + 1 }
+  }
+  const start = findMarker('<!-- OntologySync Start -->')
+  const end = findMarker('<!-- OntologySync End -->')
 
-  const params = new Map()
+  if (!start && !end) {
+    if (optional) return []
+    return [{ line: 1, column: 1, type: 'missing-markers', message: 'File has no <!-- OntologySync Start --> and <!-- OntologySync End --> markers' }]
+  }
+  if (!start) {
+    return [{ ...end, type: 'missing-markers', message: 'OntologySync End marker has no <!-- OntologySync Start --> marker before it' }]
+  }
+  if (!end || end.line < start.line) {
+    return [{ ...start, type: 'missing-markers', message: 'OntologySync Start marker has no <!-- OntologySync End --> marker after it' }]
+  }
 
-  // Parse |param=value entries (each on its own line typically)
-  // The lookahead handles optional leading whitespace before | or }}
-  const paramRegex = /\|([^=]+)=([^\n|]*(?:\n(?!\s*\||\s*\}\}).*)*)/g
-  let paramMatch
-  while ((paramMatch = paramRegex.exec(paramBlock)) !== null) {
-    const key = paramMatch[1].trim()
-    const value = paramMatch[2].trim()
-    params.set(key, value)
+  const tc = extractTemplateCall(wikitext)
+  if (!tc) {
+    return [{ ...start, type: 'missing-template-call', message: `OntologySync block does not contain a {{${templateName}|...}} call (is it empty, or are its braces unbalanced?)` }]
+  }
+  if (toEntityKey(tc.templateName) !== toEntityKey(templateName)) {
+    return [{ line: tc.line, column: tc.column, type: 'wrong-template-name', message: `OntologySync block calls {{${tc.templateName}}} but this file must call {{${templateName}}}` }]
   }
 
-  return { templateName, params }
+  return []
+}
+
+/**
+ * Entity field name -> template param name, for each template with a
+ * fixed parameter set
+ */
+const CATEGORY_FIELDS = {
+  label: 'display_label',
+  description: 'has_description',
+  parents: 'has_parent_category',
+  required_properties: 'has_required_property',
+  optional_properties: 'has_optional_property',
+  required_subobjects: 'has_required_subobject',
+  optional_subobjects: 'has_optional_subobject',
+}
+
+const PROPERTY_FIELDS = {
+  label: 'display_label',
+  description: 'has_description',
+  datatype: 'has_type',
+  cardinality: 'allows_multiple_values',
+  allowed_values: 'allows_value',
+  Allows_value_from_category: 'allows_value_from_category',
+  allowed_pattern: 'allows_pattern',
+  allowed_value_list: 'allows_value_list',
+  display_units: 'display_units',
+  display_precision: 'display_precision',
+  unique_values: 'has_unique_values',
+  has_display_template: 'has_template',
+  parent_property: 'subproperty_of',
+}
+
+const SUBOBJECT_FIELDS = {
+  label: 'display_label',
+  description: 'has_description',
+  required_properties: 'has_required_property',
+  optional_properties: 'has_optional_property',
+}
+
+/**
+ * Params each schema template understands. {{Dashboard}} and resource
+ * templates take the properties of a category instead, so their params
+ * are checked against its schema by the dashboard and resource validators.
+ */
+export const TEMPLATE_PARAMS = {
+  Category: Object.values(CATEGORY_FIELDS),
+  Property: Object.values(PROPERTY_FIELDS),
+  Subobject: Object.values(SUBOBJECT_FIELDS),
+}
+
+/**
+ * Map template param positions onto the entity fields they populate.
+ * @param {Map<string, object>} positions - Positions from extractTemplateCall
+ * @param {Object<string, string>} fields - Entity field name -> param name
+ * @returns {Object<string, object>} Entity field name -> position
+ */
+function mapPositions(positions, fields) {
+  const mapped = {}
+  for (const [field, param] of Object.entries(fields)) {
+    if (positions.has(param)) mapped[field] = positions.get(param)
+  }
+  return mapped
+}
+
+/**
+ * Find template params the parser would silently ignore (strict mode).
+ *
+ * Only checks templates with a fixed parameter set (TEMPLATE_PARAMS), and
+ * only when the block calls the expected template; diagnoseAnnotationBlock
+ * reports anything else.
+ *
+ * @param {string} wikitext - Full wikitext content
+ * @param {string} templateName - Template the block must call, e.g. "Category"
+ * @returns {Array<{line: number, column: number, type: string, message: string}>} One problem per unknown param
+ */
+export function findUnknownParams(wikitext, templateName) {
+  const known = TEMPLATE_PARAMS[templateName]
+  const tc = extractTemplateCall(wikitext)
+  if (!known || !tc || tc.templateName !== templateName) return []
+
+  const problems = []
+  for (const [param, position] of tc.positions) {
+    if (known.includes(param)) continue
+    problems.push({
+      line: position.line,
+      column: position.column,
+      type: 'unknown-template-param',
+      message: `Unknown parameter "${param}" for {{${templateName}}}${formatSuggestion(suggestClosest(param, known))}`
+    })
+  }
+  return problems
+}
+
+/**
+ * Find the source location of an entity field, or of one item in it.
+ *
+ * Entities parsed from wikitext carry a _positions map from field name to
+ * location. Entities without one (JSON modules and bundles, test fixtures)
+ * have no locations.
+ *
+ * @param {object} entity - Parsed entity (or dashboard page)
+ * @param {string} field - Entity field name, e.g. "parents"
+ * @param {string} [item] - Item value (raw or entity key) within a multi-valued field
+ * @returns {{line: number, column: number}|{}} Location, or {} if unknown
+ *
+ * @example
+ * errors.push({ file: entity._filePath, ...locate(entity, 'parents', 'Agent'), ... })
+ */
+export function locate(entity, field, item) {
+  const position = entity?._positions?.[field]
+  if (!position) return {}
+
+  if (item !== undefined) {
+    const match = position.items.find(i => [i.value, i.value.replaceAll(ESCAPED_COMMA, ','), toEntityKey(i.value)].includes(item))
+    if (match) return { line: match.line, column: match.column }
+  }
+  return { line: position.line, column: position.column }
 }
 
 /**
@@ -143,6 +515,28 @@ export function extractCategories(wikitext) {
   return categories
 }
 
+/**
+ * Extract the free wikitext of a page: everything outside the OntologySync
+ * block except standalone [[Category:X]] lines, without leading blank lines
+ * or trailing whitespace.
+ * @param {string} wikitext
+ * @returns {string} Body wikitext, or '' if there is none
+ */
+export function extractBody(wikitext) {
+  const body = []
+  let inBlock = false
+
+  for (const line of wikitext.split('\n')) {
+    const trimmed = line.trim()
+    if (trimmed === '<!-- OntologySync Start -->') { inBlock = true; continue }
+    if (trimmed === '<!-- OntologySync End -->') { inBlock = false; continue }
+    if (inBlock || /^\[\[Category:[^\]]+\]\]$/.test(trimmed)) continue
+    body.push(line)
+  }
+
+  return body.join('\n').replace(/^(?:[ \t]*\n)+/, '').trimEnd()
+}
+
 /**
  * Extract [[File:X]] references from wikitext outside OntologySync markers.
  * @param {string} wikitext
@@ -199,6 +593,10 @@ export function parseCategory(wikitext, entityKey) {
   const optionalSubs = commaToKeys(p.get('has_optional_subobject'))
   if (optionalSubs.length > 0) result.optional_subobjects = optionalSubs
 
+  if (tc) {
+    result._positions = mapPositions(tc.positions, CATEGORY_FIELDS)
+  }
+
   return result
 }
 
@@ -266,6 +664,10 @@ export function parseProperty(wikitext, entityKey) {
     result.parent_property = toEntityKey(parent)
   }
 
+  if (tc) {
+    result._positions = mapPositions(tc.positions, PROPERTY_FIELDS)
+  }
+
   return result
 }
 
@@ -291,6 +693,10 @@ export function parseSubobject(wikitext, entityKey) {
   const optionalProps = commaToKeys(p.get('has_optional_property'))
   if (optionalProps.length > 0) result.optional_properties = optionalProps
 
+  if (tc) {
+    result._positions = mapPositions(tc.positions, SUBOBJECT_FIELDS)
+  }
+
   return result
 }
 
@@ -310,63 +716,179 @@ export function parseTemplate(wikitext, entityKey) {
 }
 
 /**
- * Parse a dashboard wikitext file. Dashboards are pure wikitext content.
+ * Convert a dashboard page reference to a dashboard page key.
+ * @param {string} value - e.g. "OntologyDashboard:Knowledge overview"
+ * @returns {string} e.g. "Knowledge_overview"
+ */
+export function toDashboardPageKey(value) {
+  return toEntityKey(value.trim().replace(/^OntologyDashboard:/, ''))
+}
+
+/**
+ * Parse a dashboard wikitext file. Dashboard pages are wikitext content,
+ * optionally starting with a {{Dashboard}} annotation block.
  * For multi-page dashboards, each page is parsed separately and assembled
  * by the caller into the pages array.
  *
  * @param {string} wikitext
  * @param {string} pageName - e.g. "" for root, "Setup" for subpage
- * @returns {object} A single page entry {name, wikitext}
+ * @returns {object} A single page entry {name, wikitext, ...metadata}.
+ *   Metadata (description, parent_dashboard, sequence_number,
+ *   dashboard_scope, and the raw template params with their _positions)
+ *   is only present when the page has a {{Dashboard}} block.
  */
 export function parseDashboardPage(wikitext, pageName) {
-  return {
+  const page = {
     name: pageName,
     wikitext: wikitext.trimEnd(),
   }
+
+  const tc = extractTemplateCall(wikitext)
+  if (!tc || tc.templateName !== 'Dashboard') return page
+
+  const p = tc.params
+  page.params = Object.fromEntries(p)
+  page._positions = Object.fromEntries(tc.positions)
+  page.description = p.get('has_description') || ''
+
+  const parent = p.get('has_parent_dashboard')
+  if (parent) page.parent_dashboard = toDashboardPageKey(parent)
+
+  const sequence = p.get('has_sequence_number')
+  if (sequence) page.sequence_number = sequence
+
+  const scope = p.get('has_dashboard_scope')
+  if (scope) page.dashboard_scope = scope
+
+  return page
+}
+
+/**
+ * Resource fields that are not property values
+ */
+export const RESOURCE_METADATA_KEYS = new Set(['id', 'label', 'description', 'category', 'extra_categories', 'body', 'subobjects'])
+
+/**
+ * Index properties by the resource param name that refers to them.
+ *
+ * Resource params are property IDs lowercased by the generator, so
+ * "has_sop_type" refers to "Has_SOP_type". Properties whose IDs differ
+ * only in case share a param name; the param is then ambiguous.
+ *
+ * @param {Map<string, object>} properties - Property map from the entity index
+ * @returns {Map<string, string[]>} Lowercased param name -> matching property IDs
+ */
+export function buildParamLookup(properties) {
+  const lookup = new Map()
+  for (const [propertyId] of properties) {
+    const param = propertyId.toLowerCase()
+    if (!lookup.has(param)) lookup.set(param, [])
+    lookup.get(param).push(propertyId)
+  }
+  return lookup
+}
+
+/**
+ * Turn the property params of a template call into entity fields.
+ *
+ * The field name is the canonical property ID when exactly one property
+ * matches the param case-insensitively; otherwise it is the param with its
+ * first letter capitalized, and validateResources reports the mismatch.
+ * Values of multi-valued properties are split (see parseResource).
+ *
+ * @param {{params: Map<string, string>, positions: Map<string, object>}} tc - Call from extractTemplateCalls
+ * @param {Map<string, object>} properties - Property map from the entity index
+ * @param {string[]} [skip] - Params that are not property values
+ * @returns {{fields: Object<string, string|string[]>, positions: Object<string, object>}}
+ *   Field name -> value, and field name -> position
+ */
+function mapPropertyParams(tc, properties, skip = []) {
+  const lookup = buildParamLookup(properties)
+  const fields = {}
+  const positions = {}
+
+  for (const [key, value] of tc.params) {
+    if (skip.includes(key)) continue
+
+    const matches = lookup.get(key.toLowerCase()) || []
+    const field = matches.length === 1 ? matches[0] : key.charAt(0).toUpperCase() + key.slice(1)
+    positions[field] = tc.positions.get(key)
+
+    const property = properties.get(field)
+    fields[field] = property?.cardinality === 'multiple' ? splitValues(value) : value
+  }
+
+  return { fields, positions }
 }
 
 /**
  * Parse a resource wikitext file into a structured dict.
  * Resources have a template call for their property values
- * and [[Category:X]] to identify their category.
+ * and [[Category:X]] to identify their category, which is stored as an
+ * entity key ([[Category:Access point]] -> "Access_point").
+ *
+ * Param names are resolved case-insensitively against the property map, so
+ * fields carry canonical property IDs (has_sop_type -> Has_SOP_type).
+ *
+ * Any further calls in the block are subobject instances, named after the
+ * subobject ({{Has maintenance record|has_date=2024-03-01|...}}). Each one
+ * becomes an entry of subobjects, with its own fields and _positions (the
+ * call itself is at _positions.id).
+ *
+ * Content categories after the first are kept as extra_categories, and the
+ * free wikitext outside the block (see extractBody) as body, so that
+ * generateResource can write the page back without losing them.
+ *
+ * Only params of multi-valued properties (allows_multiple_values=Yes) are
+ * split at commas, into arrays with ESCAPED_COMMA unescaped. Every other
+ * value, including free text with commas, is kept as written. Without a
+ * property map nothing is split.
  *
  * @param {string} wikitext
  * @param {string} entityKey - e.g. "Person/John_doe"
+ * @param {Map<string, object>} [properties] - Property map from the entity index
  * @returns {object}
  */
-export function parseResource(wikitext, entityKey) {
-  const tc = extractTemplateCall(wikitext)
+export function parseResource(wikitext, entityKey, properties = new Map()) {
+  const [tc, ...instanceCalls] = extractTemplateCalls(wikitext)
   const p = tc ? tc.params : new Map()
   const categories = extractCategories(wikitext)
 
-  // Find the category (non-management category)
-  const category = categories.find(c => !c.startsWith('OntologySync-managed'))
+  // The first content (non-management) category is the resource's category
+  const [category, ...extraCategories] = categories.filter(c => !c.startsWith('OntologySync-managed'))
 
   const result = {
     id: entityKey,
     label: p.get('display_label') || toPageName(entityKey.split('/').pop()),
     description: p.get('has_description') || '',
-    category: category || '',
+    category: toEntityKey(category || ''),
   }
 
-  // Add all dynamic property parameters as fields
-  for (const [key, value] of p) {
-    // Skip metadata parameters
-    if (['display_label', 'has_description'].includes(key)) continue
+  if (extraCategories.length > 0) result.extra_categories = extraCategories
 
-    // Convert param name (lowercase_underscored) back to entity key format
-    // toParam lowercases everything, so we just capitalize the first letter
-    const entityKeyName = key.charAt(0).toUpperCase() + key.slice(1)
+  const body = extractBody(wikitext)
+  if (body) result.body = body
 
-    // Check if it's a comma-separated multi-value
-    const values = splitComma(value)
-    if (values.length > 1) {
-      result[entityKeyName] = values
-    } else {
-      result[entityKeyName] = value
+  if (tc) {
+    const { fields, positions } = mapPropertyParams(tc, properties, ['display_label', 'has_description'])
+    Object.assign(result, fields)
+    result._positions = {
+      ...mapPositions(tc.positions, { label: 'display_label', description: 'has_description' }),
+      ...positions,
     }
   }
 
+  if (instanceCalls.length > 0) {
+    result.subobjects = instanceCalls.map(call => {
+      const { fields, positions } = mapPropertyParams(call, properties)
+      return {
+        id: toEntityKey(call.templateName),
+        values: fields,
+        _positions: { id: { line: call.line, column: call.column }, ...positions },
+      }
+    })
+  }
+
   const mediaRefs = extractFileReferences(wikitext)
   if (mediaRefs.length > 0) {
     result._mediaRefs = mediaRefs
@@ -13,6 +13,9 @@ import {
   parseDashboardPage,
   parseResource,
   parseFilePath,
+  locate,
+  diagnoseAnnotationBlock,
+  findUnknownParams,
 } from './wikitext-parser.js'
 
 describe('toPageName', () => {
@@ -80,6 +83,121 @@ some text after`
     const tc = extractTemplateCall('just plain text')
     assert.strictEqual(tc, null)
   })
+
+  it('records file line and column of each param and item', () => {
+    const wikitext = `intro line
+<!-- OntologySync Start -->
+{{Category
+|has_description=A person
+| has_required_property = Has name,  Has email
+}}
+<!-- OntologySync End -->`
+
+    const tc = extractTemplateCall(wikitext)
+    assert.deepStrictEqual(tc.positions.get('has_description'), {
+      line: 4,
+      column: 2,
+      items: [{ value: 'A person', line: 4, column: 18 }]
+    })
+    assert.deepStrictEqual(tc.positions.get('has_required_property'), {
+      line: 5,
+      column: 3,
+      items: [
+        { value: 'Has name', line: 5, column: 27 },
+        { value: 'Has email', line: 5, column: 38 }
+      ]
+    })
+  })
+
+  it('records positions of values continued on following lines', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_optional_property=Has notes,
+  Has email
+}}
+<!-- OntologySync End -->`
+
+    const items = extractTemplateCall(wikitext).positions.get('has_optional_property').items
+    assert.deepStrictEqual(items.map(i => [i.value, i.line, i.column]), [['Has notes', 3, 24], ['Has email', 4, 3]])
+  })
+})
+
+describe('locate', () => {
+  const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_description=A student
+|has_parent_category=Person, Student
+}}
+<!-- OntologySync End -->`
+
+  it('locates a field and an item by raw value or entity key', () => {
+    const category = parseCategory(wikitext, 'Grad_student')
+    assert.deepStrictEqual(locate(category, 'parents'), { line: 4, column: 2 })
+    assert.deepStrictEqual(locate(category, 'parents', 'Student'), { line: 4, column: 30 })
+    assert.deepStrictEqual(locate(category, 'description'), { line: 3, column: 2 })
+  })
+
+  it('falls back to the field, or nothing without positions', () => {
+    const category = parseCategory(wikitext, 'Grad_student')
+    assert.deepStrictEqual(locate(category, 'parents', 'Missing'), { line: 4, column: 2 })
+    assert.deepStrictEqual(locate(category, 'required_properties'), {})
+    assert.deepStrictEqual(locate({ id: 'Core' }, 'categories'), {})
+  })
+})
+
+describe('diagnoseAnnotationBlock', () => {
+  const block = (body) => `<!-- OntologySync Start -->\n${body}\n<!-- OntologySync End -->\n`
+
+  it('accepts a block calling the expected template', () => {
+    assert.deepStrictEqual(diagnoseAnnotationBlock(block('{{Category\n|has_description=A\n}}'), 'Category'), [])
+  })
+
+  it('reports missing markers unless the block is optional', () => {
+    assert.strictEqual(diagnoseAnnotationBlock('{{Category\n}}', 'Category')[0].type, 'missing-markers')
+    assert.deepStrictEqual(diagnoseAnnotationBlock('== Hub ==', 'Dashboard', { optional: true }), [])
+  })
+
+  it('reports a marker without its partner at the marker line', () => {
+    const [problem] = diagnoseAnnotationBlock('{{Category\n}}\n  <!-- OntologySync End -->', 'Category')
+    assert.deepStrictEqual([problem.type, problem.line, problem.column], ['missing-markers', 3, 3])
+    assert.ok(problem.message.includes('Start'))
+  })
+
+  it('reports unbalanced braces as a missing template call', () => {
+    const [problem] = diagnoseAnnotationBlock(block('{{Category\n|has_description=A\n}'), 'Category')
+    assert.deepStrictEqual([problem.type, problem.line], ['missing-template-call', 1])
+  })
+
+  it('reports the wrong template at the call, comparing page names', () => {
+    const [problem] = diagnoseAnnotationBlock(block('\n  {{Property\n}}'), 'Category')
+    assert.deepStrictEqual([problem.type, problem.line, problem.column], ['wrong-template-name', 3, 3])
+    assert.deepStrictEqual(diagnoseAnnotationBlock(block('{{Research_group\n}}'), 'Research group'), [])
+  })
+})
+
+describe('findUnknownParams', () => {
+  it('reports params the template ignores, with their position and a suggestion', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Category
+|has_description=A student
+|has_optinal_property=Has email
+|colour=blue
+}}
+<!-- OntologySync End -->`
+
+    const problems = findUnknownParams(wikitext, 'Category')
+
+    assert.deepStrictEqual(problems.map(p => [p.type, p.line, p.column]), [['unknown-template-param', 4, 2], ['unknown-template-param', 5, 2]])
+    assert.ok(problems[0].message.includes('did you mean "has_optional_property"?'))
+    assert.ok(!problems[1].message.includes('did you mean'))
+  })
+
+  it('skips templates without a fixed parameter set and mismatched calls', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{Property\n|has_typo=Text\n}}\n<!-- OntologySync End -->'
+    assert.deepStrictEqual(findUnknownParams(wikitext, 'Dashboard'), [])
+    assert.deepStrictEqual(findUnknownParams(wikitext, 'Category'), [])
+    assert.strictEqual(findUnknownParams(wikitext, 'Property').length, 1)
+  })
 })
 
 describe('extractCategories', () => {
@@ -111,7 +229,7 @@ describe('parseCategory', () => {
 <!-- OntologySync End -->
 [[Category:OntologySync-managed]]`
 
-    const result = parseCategory(wikitext, 'Person')
+    const { _positions, ...result } = parseCategory(wikitext, 'Person')
     assert.deepStrictEqual(result, {
       id: 'Person',
       label: 'Person',
@@ -233,6 +351,27 @@ describe('parseDashboardPage', () => {
     const result = parseDashboardPage(wikitext, '')
     assert.strictEqual(result.name, '')
     assert.strictEqual(result.wikitext, '== Overview ==\n\n{{#ask: [[Category:Person]] }}')
+    assert.strictEqual(result.params, undefined)
+  })
+
+  it('parses the Dashboard annotation block', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Dashboard
+|has_description=Guides by difficulty
+|has_parent_dashboard=OntologyDashboard:Knowledge overview
+|has_sequence_number=2
+}}
+<!-- OntologySync End -->
+[[Category:Dashboard]]
+
+== Beginner ==`
+    const result = parseDashboardPage(wikitext, 'By_difficulty')
+    assert.strictEqual(result.description, 'Guides by difficulty')
+    assert.strictEqual(result.parent_dashboard, 'Knowledge_overview')
+    assert.strictEqual(result.sequence_number, '2')
+    assert.strictEqual(result.dashboard_scope, undefined)
+    assert.deepStrictEqual(Object.keys(result.params), ['has_description', 'has_parent_dashboard', 'has_sequence_number'])
+    assert.strictEqual(result.wikitext, wikitext)
   })
 })
 
@@ -256,6 +395,123 @@ describe('parseResource', () => {
     assert.strictEqual(result.Has_name, 'John Doe')
     assert.strictEqual(result.Has_email, 'john.doe@example.com')
   })
+
+  it('splits only multi-valued properties, unescaping literal commas', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{SOP
+|has_purpose=Covers setup, operation, and maintenance.
+|has_technique=Soldering, SMD assembly
+|has_author=Smith&#44; J., Doe&#44; A.
+|has_notes=Unknown, so kept
+}}
+<!-- OntologySync End -->
+[[Category:SOP]]`
+    const properties = new Map([
+      ['Has_purpose', { id: 'Has_purpose', datatype: 'Text', cardinality: 'single' }],
+      ['Has_technique', { id: 'Has_technique', datatype: 'Page', cardinality: 'multiple' }],
+      ['Has_Author', { id: 'Has_Author', datatype: 'Text', cardinality: 'multiple' }]
+    ])
+
+    const result = parseResource(wikitext, 'SOP/Soldering', properties)
+    assert.strictEqual(result.Has_purpose, 'Covers setup, operation, and maintenance.')
+    assert.deepStrictEqual(result.Has_technique, ['Soldering', 'SMD assembly'])
+    assert.deepStrictEqual(result.Has_Author, ['Smith, J.', 'Doe, A.'])
+    assert.strictEqual(result.Has_notes, 'Unknown, so kept')
+    assert.deepStrictEqual(locate(result, 'Has_Author', 'Doe, A.'), { line: 5, column: 28 })
+  })
+
+  it('resolves params to canonical property IDs, falling back to a capitalized param', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Publication
+|has_doi=10.1000/182
+|has_rrid=AB_123
+|has_notes=Draft
+}}
+<!-- OntologySync End -->
+[[Category:Publication]]`
+    const properties = new Map([
+      ['Has_DOI', { id: 'Has_DOI', datatype: 'Text' }],
+      ['Has_RRID', { id: 'Has_RRID', datatype: 'Text' }],
+      ['Has_rrid', { id: 'Has_rrid', datatype: 'Text' }]
+    ])
+
+    const result = parseResource(wikitext, 'Publication/Paper', properties)
+    assert.strictEqual(result.Has_DOI, '10.1000/182')
+    assert.strictEqual(result.Has_rrid, 'AB_123')
+    assert.strictEqual(result.Has_notes, 'Draft')
+    assert.deepStrictEqual(locate(result, 'Has_DOI'), { line: 3, column: 2 })
+  })
+
+  it('keeps the body and extra content categories', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Glossary
+|has_definition=A gradient-index lens
+}}
+<!-- OntologySync End -->
+[[Category:Glossary]]
+[[Category:Optics]]
+[[Category:OntologySync-managed-resource]]
+
+A GRIN lens focuses light by a radial gradient.
+
+== Uses ==
+* Deep-brain imaging
+`
+    const result = parseResource(wikitext, 'Glossary/GRIN_lens')
+    assert.strictEqual(result.category, 'Glossary')
+    assert.deepStrictEqual(result.extra_categories, ['Optics'])
+    assert.strictEqual(result.body, 'A GRIN lens focuses light by a radial gradient.\n\n== Uses ==\n* Deep-brain imaging')
+  })
+
+  it('stores a multi-word category as an entity key', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Access point
+|has_access_status=Active
+}}
+<!-- OntologySync End -->
+[[Category:Access point]]`
+
+    const result = parseResource(wikitext, 'Access_point/Key_1')
+    assert.strictEqual(result.category, 'Access_point')
+  })
+
+  it('keeps every value as written without a property map', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{SOP\n|has_technique=Soldering, SMD assembly\n}}\n<!-- OntologySync End -->'
+    assert.strictEqual(parseResource(wikitext, 'SOP/Soldering').Has_technique, 'Soldering, SMD assembly')
+  })
+
+  it('parses further calls in the block as subobject instances', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Equipment
+|has_name=Confocal microscope
+}}
+{{Has maintenance record
+|has_date=2024-03-01
+|has_performed_by=Jane Doe, John Doe
+}}
+{{Has maintenance record|has_date=2024-09-01}}
+<!-- OntologySync End -->
+[[Category:Equipment]]`
+    const properties = new Map([
+      ['Has_date', { id: 'Has_date', datatype: 'Date', cardinality: 'single' }],
+      ['Has_performed_by', { id: 'Has_performed_by', datatype: 'Page', cardinality: 'multiple' }]
+    ])
+
+    const result = parseResource(wikitext, 'Equipment/Confocal_microscope', properties)
+    assert.strictEqual(result.Has_name, 'Confocal microscope')
+    assert.deepStrictEqual(result.subobjects.map(({ id, values }) => ({ id, values })), [
+      { id: 'Has_maintenance_record', values: { Has_date: '2024-03-01', Has_performed_by: ['Jane Doe', 'John Doe'] } },
+      { id: 'Has_maintenance_record', values: { Has_date: '2024-09-01' } }
+    ])
+    assert.deepStrictEqual(locate(result.subobjects[0], 'id'), { line: 5, column: 1 })
+    assert.deepStrictEqual(locate(result.subobjects[0], 'Has_performed_by', 'John Doe'), { line: 7, column: 29 })
+    assert.deepStrictEqual(locate(result.subobjects[1], 'Has_date'), { line: 9, column: 26 })
+  })
+
+  it('has no subobjects without further calls', () => {
+    const wikitext = '<!-- OntologySync Start -->\n{{SOP\n|has_purpose=x\n}}\n<!-- OntologySync End -->'
+    assert.strictEqual(parseResource(wikitext, 'SOP/Soldering').subobjects, undefined)
+  })
 })
 
 describe('parseFilePath', () => {
@@ -184,4 +184,75 @@ describe('resource round-trip', () => {
     assert.strictEqual(parsed.Has_name, original.Has_name)
     assert.strictEqual(parsed.Has_email, original.Has_email)
   })
+
+  it('reproduces a resource page with body text exactly', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{SOP
+|has_description=Soldering iron safety
+|display_label=Soldering iron safety
+|has_purpose=Safe use of soldering irons
+}}
+<!-- OntologySync End -->
+[[Category:SOP]]
+[[Category:Electronics]]
+[[Category:OntologySync-managed-resource]]
+
+== Procedure ==
+# Switch on the fume extractor.
+# Never touch the tip.
+
+[[File:Soldering_station.jpg|thumb|Station]]
+`
+    const parsed = parseResource(wikitext, 'SOP/Soldering_iron_safety')
+
+    assert.strictEqual(generateResource(parsed), wikitext)
+  })
+
+  it('preserves free text with commas and multi-valued items containing commas', () => {
+    const properties = new Map([
+      ['Has_purpose', { id: 'Has_purpose', datatype: 'Text', cardinality: 'single' }],
+      ['Has_technique', { id: 'Has_technique', datatype: 'Page', cardinality: 'multiple' }],
+      ['Has_author', { id: 'Has_author', datatype: 'Text', cardinality: 'multiple' }],
+    ])
+    const original = {
+      id: 'SOP/Soldering',
+      label: 'Soldering',
+      description: 'Soldering, desoldering and rework',
+      category: 'SOP',
+      Has_purpose: 'Covers setup, operation, and maintenance.',
+      Has_technique: ['Soldering'],
+      Has_author: ['Smith, J.', 'Doe, A.'],
+    }
+
+    const parsed = parseResource(generateResource(original), 'SOP/Soldering', properties)
+    const { _positions, ...fields } = parsed
+
+    assert.deepStrictEqual(fields, original)
+    assert.strictEqual(generateResource(parsed), generateResource(original))
+  })
+
+  it('reproduces subobject instances exactly', () => {
+    const wikitext = `<!-- OntologySync Start -->
+{{Equipment
+|display_label=Confocal microscope
+|has_name=Confocal microscope
+}}
+{{Has maintenance record
+|has_date=2024-03-01
+|has_performed_by=Jane Doe, John Doe
+}}
+{{Has maintenance record
+|has_date=2024-09-01
+}}
+<!-- OntologySync End -->
+[[Category:Equipment]]
+[[Category:OntologySync-managed-resource]]
+`
+    const properties = new Map([
+      ['Has_performed_by', { id: 'Has_performed_by', datatype: 'Page', cardinality: 'multiple' }],
+    ])
+    const parsed = parseResource(wikitext, 'Equipment/Confocal_microscope', properties)
+
+    assert.strictEqual(generateResource(parsed), wikitext)
+  })
 })
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+import { buildEntityIndex } from './lib/entity-index.js'
+import {
+  CLOSURE_TYPES,
+  computeModuleClosure,
+  findUnavailableClosureMembers,
+  getBundleSiblings
+} from './lib/module-closure.js'
+
+/**
+ * Build the closure report for one module
+ * @param {string} moduleId - Module to report on
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {Object} Report with closure members and unavailable members by type
+ */
+function buildModuleReport(moduleId, entityIndex) {
+  const closure = computeModuleClosure(moduleId, entityIndex)
+  const unavailable = findUnavailableClosureMembers(moduleId, entityIndex)
+
+  const report = {
+    module: moduleId,
+    installedWith: getBundleSiblings(moduleId, entityIndex).filter(id => id !== moduleId),
+    closure: {},
+    unavailable
+  }
+  for (const type of CLOSURE_TYPES) {
+    report.closure[type] = [...closure[type]].sort()
+  }
+  return report
+}
+
+/**
+ * Print a module report in human-readable form
+ * @param {Object} report - Report from buildModuleReport
+ */
+function printModuleReport(report) {
+  console.log(`\n${report.module}`)
+  if (report.installedWith.length > 0) {
+    console.log(`  Installed with: ${report.installedWith.join(', ')}`)
+  }
+
+  for (const type of CLOSURE_TYPES) {
+    const members = report.closure[type]
+    if (members.length === 0) continue
+
+    const missing = new Set(report.unavailable[type])
+    console.log(`  ${type} (${members.length}):`)
+    for (const id of members) {
+      console.log(`    ${missing.has(id) ? '✗' : '-'} ${id}${missing.has(id) ? '  (not provided by any installed module)' : ''}`)
+    }
+  }
+}
+
+/**
+ * Main entry: report the transitive closure of modules
+ *
+ * Usage: node scripts/module-closure.js [ModuleId ...] [--json]
+ */
+async function main() {
+  try {
+    const outputJson = process.argv.includes('--json')
+    const requested = process.argv.slice(2).filter(arg => !arg.startsWith('--'))
+
+    const entityIndex = await buildEntityIndex()
+    const moduleIds = requested.length > 0 ? requested : [...entityIndex.modules.keys()].sort()
+
+    const unknown = moduleIds.filter(id => !entityIndex.modules.has(id))
+    if (unknown.length > 0) {
+      console.error(`Unknown module(s): ${unknown.join(', ')}`)
+      process.exit(1)
+    }
+
+    const reports = moduleIds.map(id => buildModuleReport(id, entityIndex))
+    const unavailableCount = reports.reduce(
+      (sum, report) => sum + CLOSURE_TYPES.reduce((n, type) => n + report.unavailable[type].length, 0),
+      0
+    )
+
+    if (outputJson) {
+      console.log(JSON.stringify(reports, null, 2))
+    } else {
+      reports.forEach(printModuleReport)
+      console.log(unavailableCount > 0
+        ? `\n❌ ${unavailableCount} closure member(s) not provided by any installed module`
+        : `\n✅ All closure members of ${reports.length} module(s) are installable`)
+    }
+
+    process.exit(unavailableCount > 0 ? 1 : 0)
+  } catch (error) {
+    console.error('Fatal error computing module closures:', error.message)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
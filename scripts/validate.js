@@ -7,10 +7,19 @@ import { GLOB_IGNORE_PATTERNS } from './lib/constants.js'
 
 // Reference validation modules
 import { buildEntityIndex } from './lib/entity-index.js'
-import { validateReferences, validateMediaReferences } from './lib/reference-validator.js'
-import { validateConstraints } from './lib/constraint-validator.js'
-import { findOrphanedEntities } from './lib/orphan-detector.js'
+import { validateReferences, validateMediaReferences, validateResourceLinks } from './lib/reference-validator.js'
+import { validateConstraints, validateInheritance } from './lib/constraint-validator.js'
+import { validateSubproperties } from './lib/subproperty-validator.js'
+import { findOrphanedEntities, findUnreachableEntities } from './lib/orphan-detector.js'
 import { detectCycles } from './lib/cycle-detector.js'
+import { validateResources } from './lib/resource-validator.js'
+import { validateResourceValues, validateAllowedValues } from './lib/value-validator.js'
+import { validatePatterns } from './lib/pattern-validator.js'
+import { validateDashboardQueries } from './lib/dashboard-query-validator.js'
+import { validateDashboards, validateDashboardScopes } from './lib/dashboard-validator.js'
+import { validateModuleClosures } from './lib/module-closure.js'
+import { validateModuleDependencies } from './lib/module-dependency-validator.js'
+import { validateBundles } from './lib/bundle-validator.js'
 
 // Change detection
 import { detectChanges, getChangedFiles } from './lib/change-detector.js'
@@ -86,6 +95,55 @@ function groupByFile(items) {
   return grouped
 }
 
+/**
+ * Format the source position of an error or warning, if it has one
+ * @param {Object} item - Error or warning with optional line and column
+ * @returns {string} e.g. " (line 12, column 3)", or "" without a line
+ */
+function formatPosition(item) {
+  if (!item.line) return ''
+  return item.column ? ` (line ${item.line}, column ${item.column})` : ` (line ${item.line})`
+}
+
+/**
+ * Format an error or warning location as file:line for markdown output
+ * @param {Object} item - Error or warning with file and optional line
+ * @returns {string} e.g. "categories/Person.wikitext:12"
+ */
+function formatLocation(item) {
+  return item.line ? `${item.file}:${item.line}` : item.file
+}
+
+/**
+ * Escape text for a GitHub Actions workflow command, so that "%" and line
+ * breaks in a message do not end or corrupt the command
+ * @param {string} text - Message text
+ * @returns {string} Escaped text
+ */
+function escapeAnnotationData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A')
+}
+
+/**
+ * Escape a workflow command property value, which also ends at ":" and ","
+ * @param {string} text - Property value
+ * @returns {string} Escaped value
+ */
+function escapeAnnotationProperty(text) {
+  return escapeAnnotationData(text).replace(/:/g, '%3A').replace(/,/g, '%2C')
+}
+
+/**
+ * Format a GitHub Actions workflow command annotation
+ * @param {'error'|'warning'} level - Annotation level
+ * @param {Object} item - Error or warning with file, type, message and optional line/column
+ * @returns {string} e.g. "::error file=a.wikitext,line=3,col=2,title=missing-reference::..."
+ */
+function formatAnnotation(level, item) {
+  const position = item.line ? `,line=${item.line}${item.column ? `,col=${item.column}` : ''}` : ''
+  return `::${level} file=${escapeAnnotationProperty(item.file)}${position},title=${escapeAnnotationProperty(item.type)}::${escapeAnnotationData(item.message)}`
+}
+
 /**
  * Format errors and warnings for console output
  * @param {Array} allErrors - All validation errors
@@ -107,7 +165,7 @@ function formatConsoleOutput(allErrors, allWarnings, totalFiles) {
       console.error(`\n\uD83D\uDCC4 ${file}`)
 
       for (const error of fileErrors) {
-        console.error(`\n   Type: ${error.type}`)
+        console.error(`\n   Type: ${error.type}${formatPosition(error)}`)
 
         if (error.output) {
           console.error(error.output)
@@ -118,6 +176,13 @@ function formatConsoleOutput(allErrors, allWarnings, totalFiles) {
     }
 
     console.error('') // Newline after errors
+
+    // Emit GitHub Actions annotations for errors
+    if (process.env.GITHUB_ACTIONS) {
+      for (const error of allErrors) {
+        console.log(formatAnnotation('error', error))
+      }
+    }
   }
 
   // Print warnings (separate section)
@@ -128,7 +193,7 @@ function formatConsoleOutput(allErrors, allWarnings, totalFiles) {
     // Emit GitHub Actions annotations for warnings
     if (process.env.GITHUB_ACTIONS) {
       for (const warning of allWarnings) {
-        console.log(`::warning file=${warning.file},title=${warning.type}::${warning.message}`)
+        console.log(formatAnnotation('warning', warning))
       }
     } else {
       const warningsByFile = groupByFile(allWarnings)
@@ -136,7 +201,7 @@ function formatConsoleOutput(allErrors, allWarnings, totalFiles) {
       for (const [file, fileWarnings] of Object.entries(warningsByFile)) {
         console.warn(`   ${file}`)
         for (const warning of fileWarnings) {
-          console.warn(`      - ${warning.message}`)
+          console.warn(`      - ${warning.message}${formatPosition(warning)}`)
         }
       }
     }
@@ -251,7 +316,7 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
     md += 'All files passed schema validation.\n'
   } else {
     for (const err of schemaErrors) {
-      md += `- \`${err.file}\`: ${err.message}\n`
+      md += `- \`${formatLocation(err)}\`: ${err.message}\n`
       if (err.output) {
         md += '```\n' + err.output + '\n```\n'
       }
@@ -266,7 +331,7 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
     md += 'All references resolve correctly.\n'
   } else {
     for (const err of refErrors) {
-      md += `- \`${err.file}\`: ${err.message}\n`
+      md += `- \`${formatLocation(err)}\`: ${err.message}\n`
     }
   }
   md += '\n</details>\n\n'
@@ -278,7 +343,7 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
     md += 'No circular dependencies detected.\n'
   } else {
     for (const err of cycleErrors) {
-      md += `- \`${err.file}\`: ${err.message}\n`
+      md += `- \`${formatLocation(err)}\`: ${err.message}\n`
     }
   }
   md += '\n</details>\n\n'
@@ -302,9 +367,43 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
 function getErrorSuggestion(errorType) {
   const suggestions = {
     'missing-field': 'Add the missing annotation to the wikitext file.',
+    'missing-markers': 'Wrap the template call in <!-- OntologySync Start --> and <!-- OntologySync End --> lines.',
+    'missing-template-call': 'Put a single {{Template|param=value}} call between the markers and check that its braces are balanced.',
+    'wrong-template-name': 'Call the template for this directory, or move the file to the directory of the template it calls.',
+    'unknown-template-param': 'Fix the parameter name (see the suggestion) or remove it; the template ignores unknown parameters.',
+    'malformed-json': 'Fix the JSON syntax (trailing commas, missing commas or quotes) at the reported position.',
     'missing-reference': 'Create the referenced entity or fix the reference.',
     'property-conflict': 'Remove the item from either required or optional list (not both).',
     'subobject-conflict': 'Remove the item from either required or optional list (not both).',
+    'required-demotion': 'Remove the optional declaration; an inherited required property cannot be made optional.',
+    'inherited-status-conflict': 'Declare the item in the child category to make its required/optional status explicit.',
+    'redundant-declaration': 'Remove the declaration; the category already inherits it.',
+    'subproperty-datatype-mismatch': 'Give the subproperty the same datatype as its parent property.',
+    'subproperty-allowed-values': 'Restrict the subproperty\'s allowed values to a subset of its parent\'s.',
+    'subproperty-category-mismatch': 'Use the parent\'s allowed category, or one of its descendants, for the subproperty.',
+    'ambiguous-resource-property': 'Rename one of the properties; resource parameters cannot tell apart IDs that differ only in case.',
+    'missing-resource-category': 'Add a [[Category:...]] line naming the resource\'s category below the OntologySync block.',
+    'disallowed-resource-property': 'Remove the parameter or add the property to the resource\'s category.',
+    'disallowed-resource-subobject': 'Remove the subobject call or add the subobject to the resource\'s category.',
+    'disallowed-subobject-property': 'Remove the parameter or add the property to the subobject.',
+    'invalid-value': 'Change the value to match the property\'s datatype.',
+    'invalid-allowed-value': 'Use one of the property\'s allowed values (matching case exactly).',
+    'invalid-pattern': 'Rewrite the pattern using syntax shared by PCRE and JavaScript regular expressions.',
+    'pattern-mismatch': 'Change the value to match the property\'s allowed pattern.',
+    'disallowed-dashboard-property': 'Remove the parameter or add the property to the Dashboard category.',
+    'ambiguous-dashboard-property': 'Rename one of the properties; dashboard parameters cannot tell apart IDs that differ only in case.',
+    'duplicate-sequence-number': 'Give each subpage of the same parent dashboard, and each top-level dashboard, a distinct has_sequence_number.',
+    'undeclared-module-dependency': 'Add one of the owning modules to this module\'s "dependencies".',
+    'duplicate-bundle-module': 'Remove the repeated module from the bundle.',
+    'missing-bundle-module': 'Add the module to the bundle\'s "modules" list.',
+    'foreign-bundle-dashboard': 'Add the owning module to the bundle, or remove the dashboard from the bundle.',
+    'bundle-dashboard-missing-module': 'Add the module that provides the category to the bundle, or change the query.',
+    'unavailable-closure-member': 'Add the category that provides it to this module or to another module of the same bundle (run npm run module-closure for details).',
+    'dashboard-scope-violation': 'Query only categories installed with the dashboard, or add the category to its module (or change has_dashboard_scope to Bundle).',
+    'unknown-query-category': 'Fix the category name in the #ask query or create the category.',
+    'unknown-query-property': 'Fix the property name in the #ask query (it may have been renamed) or create the property.',
+    'link-category-mismatch': 'Link to a page of the property\'s allowed category, or fix the linked resource\'s category.',
+    'unresolved-link': 'Check the page name, or add the linked page as a resource if it should ship with the ontology.',
   }
 
   if (suggestions[errorType]) {
@@ -357,7 +456,7 @@ function generateMarkdownSummary(allErrors, allWarnings, totalFiles, changeSumma
       markdown += `#### \`${file}\`\n\n`
 
       for (const error of fileErrors) {
-        markdown += `**Type:** ${error.type}\n\n`
+        markdown += `**Type:** ${error.type}${formatPosition(error)}\n\n`
 
         if (error.output) {
           markdown += '```\n' + error.output + '\n```\n\n'
@@ -382,7 +481,7 @@ function generateMarkdownSummary(allErrors, allWarnings, totalFiles, changeSumma
     for (const [file, fileWarnings] of Object.entries(warningsByFile)) {
       markdown += `- \`${file}\`\n`
       for (const warning of fileWarnings) {
-        markdown += `  - ${warning.message}\n`
+        markdown += `  - ${warning.message}${formatPosition(warning)}\n`
       }
     }
     markdown += '\n'
@@ -422,6 +521,9 @@ async function main() {
     // Parse command-line arguments
     const changedOnly = process.argv.includes('--changed-only')
     const outputMarkdown = process.argv.includes('--output-markdown')
+    const unresolvedLinksArg = process.argv.find(arg => arg.startsWith('--unresolved-links='))
+    const unresolvedLinks = unresolvedLinksArg ? unresolvedLinksArg.split('=')[1] : 'warning'
+    const strict = process.argv.includes('--strict')
 
     const baseBranch = process.env.GITHUB_BASE_REF
       ? `origin/${process.env.GITHUB_BASE_REF}`
@@ -457,7 +559,10 @@ async function main() {
     console.log(`Validating ${filesToValidate.length} file(s)...\n`)
 
     // Phase 1: Build entity index (parses all wikitext and JSON files)
-    const entityIndex = await buildEntityIndex()
+    const entityIndex = await buildEntityIndex(process.cwd(), { strict })
+
+    // Parse diagnostics (markers, template calls, malformed JSON; unknown params with --strict)
+    const parseErrors = entityIndex.diagnostics
 
     // Phase 1b: Structural validation (required fields, etc.)
     const schemaErrors = validateEntities(entityIndex)
@@ -471,15 +576,57 @@ async function main() {
     // Run constraint validation
     const { errors: constraintErrors } = validateConstraints(entityIndex)
 
+    // Run inheritance constraint validation (declarations vs ancestors)
+    const { errors: inheritanceErrors, warnings: inheritanceWarnings } = validateInheritance(entityIndex)
+
+    // Run subproperty compatibility validation (subproperty vs parent property)
+    const { errors: subpropertyErrors } = validateSubproperties(entityIndex)
+
+    // Run resource schema validation
+    const { errors: resourceErrors, warnings: resourceWarnings } = validateResources(entityIndex)
+
+    // Run resource value validation (datatypes)
+    const { errors: valueErrors } = validateResourceValues(entityIndex)
+
+    // Run enumeration validation (resources and dashboard queries)
+    const { errors: allowedValueErrors } = validateAllowedValues(entityIndex)
+
+    // Run allows_pattern validation (regex syntax, safety, resource values)
+    const { errors: patternErrors, warnings: patternWarnings } = validatePatterns(entityIndex)
+
+    // Run resource link validation (Page values vs allowed category)
+    const { errors: linkErrors, warnings: linkWarnings } = validateResourceLinks(entityIndex, { unresolvedLinks })
+
+    // Run module closure validation (everything a module needs is installed)
+    const { errors: closureErrors } = validateModuleClosures(entityIndex)
+
+    // Run module dependency validation (cross-module inheritance vs declared dependencies)
+    const { errors: dependencyErrors, warnings: dependencyWarnings } = validateModuleDependencies(entityIndex)
+
+    // Run bundle validation (module closure, dashboards vs bundle modules)
+    const { errors: bundleErrors, warnings: bundleWarnings } = validateBundles(entityIndex)
+
+    // Run dashboard annotation and hierarchy validation
+    const { errors: dashboardErrors, warnings: dashboardWarnings } = validateDashboards(entityIndex)
+
+    // Run dashboard scope validation (queried categories vs module/bundle closure)
+    const { errors: scopeErrors } = validateDashboardScopes(entityIndex)
+
+    // Run dashboard #ask query analysis
+    const { errors: queryErrors, warnings: queryWarnings } = validateDashboardQueries(entityIndex)
+
     // Run orphan detection (warnings only)
     const { warnings: orphanWarnings } = findOrphanedEntities(entityIndex)
 
+    // Run reachability analysis (unused properties, subobjects, templates, resources)
+    const { warnings: unreachableWarnings } = findUnreachableEntities(entityIndex)
+
     // Phase 3: Cycle detection
     const { errors: cycleErrors } = detectCycles(entityIndex)
 
     // Combine all errors and warnings
-    const allErrors = [...schemaErrors, ...referenceErrors, ...mediaErrors, ...constraintErrors, ...cycleErrors]
-    const allWarnings = [...referenceWarnings, ...mediaWarnings, ...orphanWarnings]
+    const allErrors = [...parseErrors, ...schemaErrors, ...referenceErrors, ...mediaErrors, ...constraintErrors, ...inheritanceErrors, ...subpropertyErrors, ...resourceErrors, ...valueErrors, ...allowedValueErrors, ...patternErrors, ...linkErrors, ...closureErrors, ...dependencyErrors, ...bundleErrors, ...dashboardErrors, ...scopeErrors, ...queryErrors, ...cycleErrors]
+    const allWarnings = [...referenceWarnings, ...mediaWarnings, ...inheritanceWarnings, ...resourceWarnings, ...patternWarnings, ...linkWarnings, ...dependencyWarnings, ...bundleWarnings, ...dashboardWarnings, ...queryWarnings, ...orphanWarnings, ...unreachableWarnings]
 
     // Get total entity count (always from full discovery for accurate reporting)
     const allFiles = await discoverFiles()
@@ -507,8 +654,8 @@ async function main() {
     // Write PR comment markdown if requested
     if (outputMarkdown) {
       const prComment = generatePRComment(
-        schemaErrors,
-        referenceErrors.concat(constraintErrors),
+        parseErrors.concat(schemaErrors),
+        referenceErrors.concat(constraintErrors, inheritanceErrors, subpropertyErrors, resourceErrors, valueErrors, allowedValueErrors, patternErrors, linkErrors, closureErrors, dependencyErrors, bundleErrors, dashboardErrors, scopeErrors, queryErrors),
         cycleErrors,
         allWarnings,
         allFiles.length,